@@ -1,12 +1,36 @@
+const mongoose = require('mongoose');
 const Post = require('../../models/Post');
 const User = require('../../models/User');
 const Comment = require('../../models/Comment');
 const InterestedApplication = require('../../models/InterestedApplication');
-const { PutObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
-const { s3Client, R2_BUCKET, signPostMediaUrls, signSinglePostMedia, signR2ObjectKey } = require('../../config/r2');
-const { processImage } = require('../../utils/imageProcessor');
-const path = require('path');
-const crypto = require('crypto');
+const Activity = require('../../models/Activity');
+const HiringPipeline = require('../models/HiringPipeline');
+const PostDailyStat = require('../../models/PostDailyStat');
+const { signPostMediaUrls, signSinglePostMedia, signR2ObjectKey } = require('../../config/r2');
+const { parseJobFields } = require('../../utils/jobFields');
+const { parseScreeningQuestions } = require('../../utils/screeningQuestions');
+const { announcePublishedPost } = require('../../utils/postPublished');
+const {
+    WITHDRAWN_STAGE,
+    DEFAULT_STAGES,
+    normalizeStatus,
+    canTransition,
+    validateStages,
+    resolvePipeline,
+    findOrphanedStatuses,
+    validateStageMapping,
+    migrateOrphanedStatuses
+} = require('../../utils/hiringPipeline');
+const { POST_ACCESS_FIELDS, isPostOwner, managedPostsFilter } = require('../../utils/postAccess');
+const { recordPostRevision, deletePostRevisions, listPostRevisions } = require('../../utils/postRevisions');
+const {
+    parseMediaMeta,
+    uploadPostMediaFiles,
+    legacyMediaFields,
+    deletePostMedia
+} = require('../../utils/postMedia');
+const { buildHighlights } = require('../../utils/resumeText');
+const { escapeRegex } = require('../../utils/escapeRegex');
 
 // Input sanitization helper
 const sanitizeInput = (input) => {
@@ -15,72 +39,76 @@ const sanitizeInput = (input) => {
 };
 
 /**
- * Convert a readable stream to a Buffer (multer v2 compat)
+ * Parse an optional expiry date from the request body.
+ * @param {*} raw - Value of req.body.expiresAt
+ * @returns {{ expiresAt?: Date|null, error?: string }}
+ *   `expiresAt` is undefined when not sent, null when cleared.
  */
-const streamToBuffer = (stream) => {
-    return new Promise((resolve, reject) => {
-        const chunks = [];
-        stream.on('data', (chunk) => chunks.push(chunk));
-        stream.on('end', () => resolve(Buffer.concat(chunks)));
-        stream.on('error', reject);
-    });
-};
+const parseExpiresAt = (raw) => {
+    if (raw === undefined) return {};
+    if (raw === null || raw === '' || raw === 'null') return { expiresAt: null };
 
-/**
- * Upload a file to Cloudflare R2
- * Returns the R2 object key (NOT a public URL)
- * @param {object} file - multer file object (req.file)
- * @returns {Promise<string>} R2 object key
- */
-const uploadToR2 = async (file) => {
-    // Get file body — multer v2 may use stream instead of buffer
-    let body = file.buffer;
-    if (!body && file.stream) {
-        body = await streamToBuffer(file.stream);
+    const expiresAt = new Date(raw);
+    if (Number.isNaN(expiresAt.getTime())) {
+        return { error: 'Expiry must be a valid date' };
     }
-    if (!body) {
-        throw new Error('No file buffer or stream available');
+    if (expiresAt <= new Date()) {
+        return { error: 'Expiry must be in the future' };
     }
+    return { expiresAt };
+};
 
-    let contentType = file.mimetype;
-    let ext = path.extname(file.originalname);
+/**
+ * Parse an optional scheduled go-live time from the request body.
+ * @param {*} raw - Value of req.body.publishAt
+ * @returns {{ publishAt?: Date|null, error?: string }}
+ *   `publishAt` is undefined when not sent, null when cleared.
+ */
+const parsePublishAt = (raw) => {
+    if (raw === undefined) return {};
+    if (raw === null || raw === '' || raw === 'null') return { publishAt: null };
 
-    // Process images through sharp (resize, compress, convert to WebP)
-    if (!file.mimetype.startsWith('video/')) {
-        const processed = await processImage(body, file.mimetype);
-        body = processed.buffer;
-        contentType = processed.mimetype;
-        ext = processed.ext;
+    const publishAt = new Date(raw);
+    if (Number.isNaN(publishAt.getTime())) {
+        return { error: 'Publish time must be a valid date' };
     }
+    if (publishAt <= new Date()) {
+        return { error: 'Publish time must be in the future' };
+    }
+    return { publishAt };
+};
 
-    const key = `posts/${Date.now()}-${crypto.randomBytes(8).toString('hex')}${ext}`;
-
-    await s3Client.send(new PutObjectCommand({
-        Bucket: R2_BUCKET,
-        Key: key,
-        Body: body,
-        ContentType: contentType,
-    }));
-
-    console.log(`[R2] Uploaded: ${key}`);
-    return key;
+/**
+ * Initial status of an admin post by level: levels 0 and 1 go through
+ * moderation, level 2 publishes immediately or at its scheduled time.
+ * @param {object} admin - req.admin
+ * @param {Date|null} publishAt
+ * @returns {string}
+ */
+const resolveAdminPostStatus = (admin, publishAt) => {
+    const adminLevel = admin.admin_level || 0;
+    if (adminLevel === 0) return 'pending';
+    if (adminLevel === 1) return 'pending_trusted';
+    return publishAt ? 'scheduled' : 'published';
 };
 
 /**
- * Delete a file from Cloudflare R2 by its key
- * @param {string} key - The R2 object key
+ * Parse an optional company link from the request body. The admin must be a
+ * member of the company (req.admin.companyIds, set by protectAdmin).
+ * @param {*} raw - Value of req.body.company
+ * @param {object} admin - req.admin
+ * @returns {{ company?: string|null, error?: string }}
+ *   `company` is undefined when not sent, null when cleared.
  */
-const deleteFromR2 = async (key) => {
-    if (!key) return;
-    try {
-        await s3Client.send(new DeleteObjectCommand({
-            Bucket: R2_BUCKET,
-            Key: key,
-        }));
-        console.log(`[R2] Deleted: ${key}`);
-    } catch (err) {
-        console.error('[R2] Delete error:', err.message);
+const parseCompany = (raw, admin) => {
+    if (raw === undefined) return {};
+    if (raw === null || raw === '' || raw === 'null') return { company: null };
+
+    const company = String(raw);
+    if (!(admin.companyIds || []).includes(company)) {
+        return { error: 'You can only post for companies you are a member of' };
     }
+    return { company };
 };
 
 /**
@@ -94,14 +122,18 @@ const getAllPosts = async (req, res) => {
         const limit = parseInt(req.query.limit) || 20;
         const skip = (page - 1) * limit;
 
-        const filter = {};
+        // Drafts are private work in progress — listed only via GET /drafts
+        const filter = { status: { $ne: 'draft' } };
         if (req.query.status && req.query.status !== 'all') {
             if (req.query.status === 'pending') {
                 filter.status = { $in: ['pending', 'pending_trusted'] };
-            } else if (['published', 'rejected'].includes(req.query.status)) {
+            } else if (['published', 'scheduled', 'rejected', 'expired'].includes(req.query.status)) {
                 filter.status = req.query.status;
             }
         }
+        if (req.query.company && mongoose.Types.ObjectId.isValid(req.query.company)) {
+            filter.company = req.query.company;
+        }
 
         let sortOption = { createdAt: -1 };
         if (req.query.sort) {
@@ -156,19 +188,77 @@ const getAllPosts = async (req, res) => {
 const createPost = async (req, res) => {
     try {
         const { content } = req.body;
+        const files = req.files || [];
         let image_url = null;
         let video_url = null;
 
-        // Handle file upload to R2 — store the key, not a URL
-        if (req.file) {
-            const key = await uploadToR2(req.file);
+        // Validate structured job fields before touching R2
+        const { job, error: jobError } = parseJobFields(req.body.job);
+        if (jobError) {
+            return res.status(400).json({
+                success: false,
+                message: jobError
+            });
+        }
 
-            if (req.file.mimetype.startsWith('video/')) {
-                video_url = key;
-            } else {
-                image_url = key;
-            }
-        } else {
+        // Expiry defaults to the application deadline when not given explicitly
+        const { expiresAt, error: expiryError } = parseExpiresAt(req.body.expiresAt);
+        if (expiryError) {
+            return res.status(400).json({
+                success: false,
+                message: expiryError
+            });
+        }
+
+        const { publishAt, error: publishAtError } = parsePublishAt(req.body.publishAt);
+        if (publishAtError) {
+            return res.status(400).json({
+                success: false,
+                message: publishAtError
+            });
+        }
+
+        const postExpiresAt = expiresAt || job?.applicationDeadline || null;
+        // The deadline fallback gets the same future check parseExpiresAt applies
+        if (!expiresAt && postExpiresAt && postExpiresAt <= new Date()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Application deadline must be in the future'
+            });
+        }
+        if (publishAt && postExpiresAt && postExpiresAt <= publishAt) {
+            return res.status(400).json({
+                success: false,
+                message: 'Expiry must be after the publish time'
+            });
+        }
+
+        const { questions, error: questionsError } = parseScreeningQuestions(req.body.screeningQuestions);
+        if (questionsError) {
+            return res.status(400).json({
+                success: false,
+                message: questionsError
+            });
+        }
+
+        const { company, error: companyError } = parseCompany(req.body.company, req.admin);
+        if (companyError) {
+            return res.status(403).json({
+                success: false,
+                message: companyError
+            });
+        }
+
+        const { meta, error: metaError } = parseMediaMeta(req.body.mediaMeta, files.length);
+        if (metaError) {
+            return res.status(400).json({
+                success: false,
+                message: metaError
+            });
+        }
+
+        // Without uploads, a single external/legacy media URL may still be passed in
+        if (files.length === 0) {
             if (req.body.image_url) image_url = sanitizeInput(req.body.image_url);
             if (req.body.video_url) video_url = sanitizeInput(req.body.video_url);
         }
@@ -176,25 +266,22 @@ const createPost = async (req, res) => {
         // Validate content
         const sanitizedContent = content ? sanitizeInput(content) : '';
 
-        if (!sanitizedContent && !image_url && !video_url) {
+        if (!sanitizedContent && files.length === 0 && !image_url && !video_url) {
             return res.status(400).json({
                 success: false,
                 message: 'Content or media is required'
             });
         }
 
-        // Check admin level for status
-        let status = 'published';
-        const adminLevel = req.admin.admin_level || 0;
-
-        if (adminLevel === 0) {
-            status = 'pending';
-        } else if (adminLevel === 1) {
-            status = 'pending_trusted';
-        } else if (adminLevel === 2) {
-            status = 'published';
+        // Handle file uploads to R2 — store the keys, not URLs
+        const media = await uploadPostMediaFiles(files, meta);
+        if (media.length > 0) {
+            ({ image_url, video_url } = legacyMediaFields(media));
         }
 
+        // Check admin level for status
+        const status = resolveAdminPostStatus(req.admin, publishAt);
+
         const userModel = req.admin.isUserAdmin ? 'User' : 'Admin';
 
         const post = await Post.create({
@@ -203,6 +290,12 @@ const createPost = async (req, res) => {
             content: sanitizedContent,
             image_url,
             video_url,
+            media,
+            job: job || null,
+            expiresAt: postExpiresAt,
+            publishAt: publishAt || null,
+            screeningQuestions: questions || [],
+            company: company || null,
             isAdminPost: true,
             status: status
         });
@@ -216,6 +309,11 @@ const createPost = async (req, res) => {
             success: true,
             data: signedPost
         });
+
+        // Level-2 posts go live immediately — alert saved searches and company followers
+        if (post.status === 'published') {
+            announcePublishedPost(post, req.app.get('io'));
+        }
     } catch (error) {
         console.error('Admin create post error:', error);
         res.status(500).json({
@@ -225,6 +323,258 @@ const createPost = async (req, res) => {
     }
 };
 
+/**
+ * Parse the editable fields of a draft. Drafts may be incomplete, so every
+ * field is optional, but whatever is sent must be valid.
+ * @param {object} body - req.body
+ * @param {object} admin - req.admin
+ * @param {number} fileCount - Number of uploaded media files
+ * @returns {{ fields?: object, meta?: Array<object>, status?: number, error?: string }}
+ */
+const parseDraftFields = (body, admin, fileCount) => {
+    const { job, error: jobError } = parseJobFields(body.job);
+    if (jobError) return { status: 400, error: jobError };
+
+    const { expiresAt, error: expiryError } = parseExpiresAt(body.expiresAt);
+    if (expiryError) return { status: 400, error: expiryError };
+
+    const { publishAt, error: publishAtError } = parsePublishAt(body.publishAt);
+    if (publishAtError) return { status: 400, error: publishAtError };
+
+    const { questions, error: questionsError } = parseScreeningQuestions(body.screeningQuestions);
+    if (questionsError) return { status: 400, error: questionsError };
+
+    const { company, error: companyError } = parseCompany(body.company, admin);
+    if (companyError) return { status: 403, error: companyError };
+
+    const { meta, error: metaError } = parseMediaMeta(body.mediaMeta, fileCount);
+    if (metaError) return { status: 400, error: metaError };
+
+    const fields = {};
+    if (body.content !== undefined) fields.content = sanitizeInput(String(body.content));
+    if (job !== undefined) fields.job = job;
+    if (expiresAt !== undefined) fields.expiresAt = expiresAt;
+    if (publishAt !== undefined) fields.publishAt = publishAt;
+    if (questions !== undefined) fields.screeningQuestions = questions;
+    if (company !== undefined) fields.company = company;
+    return { fields, meta };
+};
+
+/**
+ * Load a draft owned by the current admin
+ * @returns {Promise<object|null>}
+ */
+const findOwnDraft = (req) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) return null;
+    return Post.findOne({ _id: req.params.id, user: req.admin._id, status: 'draft' });
+};
+
+/**
+ * @desc    List the current admin's drafts, most recently saved first
+ * @route   GET /api/admin/posts/drafts
+ * @access  Private (admin)
+ */
+const getDrafts = async (req, res) => {
+    try {
+        const page = parseInt(req.query.page) || 1;
+        const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+        const skip = (page - 1) * limit;
+
+        const filter = { user: req.admin._id, status: 'draft' };
+        const [drafts, total] = await Promise.all([
+            Post.find(filter)
+                .sort({ updatedAt: -1 })
+                .skip(skip)
+                .limit(limit)
+                .lean(),
+            Post.countDocuments(filter)
+        ]);
+
+        res.json({
+            success: true,
+            data: await signPostMediaUrls(drafts),
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(total / limit),
+                totalItems: total,
+                itemsPerPage: limit
+            }
+        });
+    } catch (error) {
+        console.error('Admin get drafts error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch drafts'
+        });
+    }
+};
+
+/**
+ * @desc    Start a new draft (content and media are optional)
+ * @route   POST /api/admin/posts/drafts
+ * @access  Private (admin)
+ */
+const createDraft = async (req, res) => {
+    try {
+        const files = req.files || [];
+        const { fields, meta, status: errorStatus, error } = parseDraftFields(req.body, req.admin, files.length);
+        if (error) {
+            return res.status(errorStatus).json({
+                success: false,
+                message: error
+            });
+        }
+
+        const media = await uploadPostMediaFiles(files, meta);
+
+        const draft = await Post.create({
+            ...fields,
+            user: req.admin._id,
+            userModel: req.admin.isUserAdmin ? 'User' : 'Admin',
+            media,
+            ...legacyMediaFields(media),
+            isAdminPost: true,
+            status: 'draft'
+        });
+
+        res.status(201).json({
+            success: true,
+            data: await signSinglePostMedia(draft)
+        });
+    } catch (error) {
+        console.error('Admin create draft error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to create draft'
+        });
+    }
+};
+
+/**
+ * @desc    Autosave a draft. New files replace the whole gallery; removeMedia=true clears it.
+ * @route   PUT /api/admin/posts/drafts/:id
+ * @access  Private (admin)
+ */
+const updateDraft = async (req, res) => {
+    try {
+        const draft = await findOwnDraft(req);
+        if (!draft) {
+            return res.status(404).json({
+                success: false,
+                message: 'Draft not found'
+            });
+        }
+
+        const files = req.files || [];
+        const { fields, meta, status: errorStatus, error } = parseDraftFields(req.body, req.admin, files.length);
+        if (error) {
+            return res.status(errorStatus).json({
+                success: false,
+                message: error
+            });
+        }
+        draft.set(fields);
+
+        // Drafts keep no revisions, so replaced media can go right away
+        if (files.length > 0 || req.body.removeMedia === true || req.body.removeMedia === 'true') {
+            const media = await uploadPostMediaFiles(files, meta);
+            await deletePostMedia(draft);
+            draft.media = media;
+            draft.set(legacyMediaFields(media));
+        }
+
+        await draft.save();
+
+        res.json({
+            success: true,
+            data: await signSinglePostMedia(draft)
+        });
+    } catch (error) {
+        console.error('Admin update draft error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to update draft'
+        });
+    }
+};
+
+/**
+ * @desc    Submit a draft — same level-based status as creating a post directly
+ * @route   POST /api/admin/posts/drafts/:id/submit
+ * @access  Private (admin)
+ */
+const submitDraft = async (req, res) => {
+    try {
+        const draft = await findOwnDraft(req);
+        if (!draft) {
+            return res.status(404).json({
+                success: false,
+                message: 'Draft not found'
+            });
+        }
+
+        if (!draft.content && draft.media.length === 0 && !draft.image_url && !draft.video_url) {
+            return res.status(400).json({
+                success: false,
+                message: 'Content or media is required'
+            });
+        }
+
+        // Dates were in the future when saved but may have passed while the draft sat
+        const now = new Date();
+        const expiresAt = draft.expiresAt || draft.job?.applicationDeadline || null;
+        if (draft.publishAt && draft.publishAt <= now) {
+            return res.status(400).json({
+                success: false,
+                message: 'Publish time has passed, choose a new one'
+            });
+        }
+        if (expiresAt && expiresAt <= now) {
+            return res.status(400).json({
+                success: false,
+                message: 'Expiry must be in the future'
+            });
+        }
+        if (draft.publishAt && expiresAt && expiresAt <= draft.publishAt) {
+            return res.status(400).json({
+                success: false,
+                message: 'Expiry must be after the publish time'
+            });
+        }
+
+        const status = resolveAdminPostStatus(req.admin, draft.publishAt);
+
+        // Conditional update so a double submit can't announce the post twice;
+        // createdAt moves to now so the post is ordered by when it was submitted
+        const post = await Post.findOneAndUpdate(
+            { _id: draft._id, status: 'draft' },
+            { $set: { status, expiresAt, createdAt: now } },
+            { new: true, overwriteImmutable: true }
+        ).populate('user', 'username display_name avatar_url');
+        if (!post) {
+            return res.status(409).json({
+                success: false,
+                message: 'Draft was already submitted'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: await signSinglePostMedia(post)
+        });
+
+        if (post.status === 'published') {
+            announcePublishedPost(post, req.app.get('io'));
+        }
+    } catch (error) {
+        console.error('Admin submit draft error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to submit draft'
+        });
+    }
+};
+
 /**
  * @desc    Update a post
  * @route   PUT /api/admin/posts/:id
@@ -243,28 +593,134 @@ const updatePost = async (req, res) => {
                 message: 'Post not found'
             });
         }
+        if (post.status === 'draft') {
+            return res.status(400).json({
+                success: false,
+                message: 'Drafts are edited through /api/admin/posts/drafts'
+            });
+        }
+
+        // Only the author or a member of the post's current company may edit it — including moving it to another company
+        if (!isPostOwner(post, req.admin)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to update this post'
+            });
+        }
+        const previousStatus = post.status;
+
+        const { job, error: jobError } = parseJobFields(req.body.job);
+        if (jobError) {
+            return res.status(400).json({
+                success: false,
+                message: jobError
+            });
+        }
+
+        const { expiresAt, error: expiryError } = parseExpiresAt(req.body.expiresAt);
+        if (expiryError) {
+            return res.status(400).json({
+                success: false,
+                message: expiryError
+            });
+        }
+
+        const { publishAt, error: publishAtError } = parsePublishAt(req.body.publishAt);
+        if (publishAtError) {
+            return res.status(400).json({
+                success: false,
+                message: publishAtError
+            });
+        }
+        if (publishAt && ['published', 'expired'].includes(post.status)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Only posts that are not live yet can be scheduled'
+            });
+        }
+
+        const files = req.files || [];
+        const { meta, error: metaError } = parseMediaMeta(req.body.mediaMeta, files.length);
+        if (metaError) {
+            return res.status(400).json({
+                success: false,
+                message: metaError
+            });
+        }
+
+        // Screening questions carry knockout rules and change only through PUT /:id/screening-questions
+        const { company, error: companyError } = parseCompany(req.body.company, req.admin);
+        if (companyError) {
+            return res.status(403).json({
+                success: false,
+                message: companyError
+            });
+        }
+
+        if (job !== undefined) {
+            post.job = job;
+        }
+
+        if (company !== undefined) {
+            post.company = company;
+        }
+
+        if (expiresAt !== undefined) {
+            post.expiresAt = expiresAt;
+        } else if (job?.applicationDeadline) {
+            // Re-sending the deadline that is already the expiry leaves an expired post as it is
+            const unchanged = post.expiresAt && post.expiresAt.getTime() === job.applicationDeadline.getTime();
+            if (!unchanged && job.applicationDeadline <= new Date()) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Application deadline must be in the future'
+                });
+            }
+            post.expiresAt = job.applicationDeadline;
+        }
+
+        if (publishAt !== undefined) {
+            post.publishAt = publishAt;
+            // Clearing the time of an approved, scheduled post publishes it right away
+            if (!publishAt && post.status === 'scheduled') {
+                post.status = 'published';
+            }
+        }
 
-        if (content !== undefined) {
-            post.content = sanitizeInput(content);
+        if (post.publishAt && post.status !== 'published' && post.expiresAt && post.expiresAt <= post.publishAt) {
+            return res.status(400).json({
+                success: false,
+                message: 'Expiry must be after the publish time'
+            });
         }
 
-        // Handle media updates — upload new file to R2
-        if (req.file) {
-            // Delete old media from R2
-            await deleteFromR2(post.image_url);
-            await deleteFromR2(post.video_url);
+        const newContent = content !== undefined ? sanitizeInput(content) : post.content;
+        const revised = newContent !== post.content || files.length > 0;
+        if (revised) {
+            // Handle media updates — new uploads replace the whole gallery
+            const media = files.length > 0 ? await uploadPostMediaFiles(files, meta) : null;
 
-            const key = await uploadToR2(req.file);
+            // Snapshot before overwriting; the old media stays in R2 for the revision
+            await recordPostRevision(post, {
+                _id: req.admin._id,
+                model: req.admin.isUserAdmin ? 'User' : 'Admin'
+            });
+            post.content = newContent;
+            post.editedAt = new Date();
 
-            if (req.file.mimetype.startsWith('video/')) {
-                post.video_url = key;
-                post.image_url = null;
-            } else {
-                post.image_url = key;
-                post.video_url = null;
+            if (media) {
+                post.media = media;
+                post.set(legacyMediaFields(media));
             }
         }
 
+        // Level 0 admins need approval to publish — content or media edits of live or scheduled posts go back to the queue
+        if (revised && ['published', 'scheduled'].includes(post.status) && (req.admin.admin_level || 0) === 0) {
+            post.status = 'pending';
+            post.approvedBy = null;
+            post.approvedAt = null;
+        }
+
         await post.save();
 
         const updatedPost = await Post.findById(post._id).populate('user', 'username display_name avatar_url');
@@ -274,6 +730,10 @@ const updatePost = async (req, res) => {
             success: true,
             data: signedPost
         });
+
+        if (post.status === 'published' && previousStatus !== 'published') {
+            announcePublishedPost(post, req.app.get('io'));
+        }
     } catch (error) {
         console.error('Admin update post error:', error);
         res.status(500).json({
@@ -301,9 +761,9 @@ const deletePost = async (req, res) => {
             });
         }
 
-        // Delete media from R2
-        await deleteFromR2(post.image_url);
-        await deleteFromR2(post.video_url);
+        // Delete media from R2, including media kept for earlier revisions
+        await deletePostMedia(post);
+        await deletePostRevisions(post._id);
 
         await post.deleteOne();
 
@@ -322,11 +782,67 @@ const deletePost = async (req, res) => {
 };
 
 /**
- * @desc    Get post statistics
- * @route   GET /api/admin/posts/stats
+ * @desc    Renew an expired (or expiring) post with a new deadline
+ * @route   PUT /api/admin/posts/:id/renew
  * @access  Private (admin)
  */
-const getPostStats = async (req, res) => {
+const renewPost = async (req, res) => {
+    try {
+        const { expiresAt, error: expiryError } = parseExpiresAt(req.body.expiresAt);
+        if (expiryError || !expiresAt) {
+            return res.status(400).json({
+                success: false,
+                message: expiryError || 'A new expiry date is required'
+            });
+        }
+
+        const post = await Post.findById(req.params.id);
+
+        if (!post) {
+            return res.status(404).json({
+                success: false,
+                message: 'Post not found'
+            });
+        }
+
+        if (!['published', 'expired'].includes(post.status)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Only published or expired posts can be renewed'
+            });
+        }
+
+        post.status = 'published';
+        post.expiresAt = expiresAt;
+        if (post.job) {
+            post.job.applicationDeadline = expiresAt;
+        }
+
+        await post.save();
+
+        const renewedPost = await Post.findById(post._id).populate('user', 'username display_name avatar_url');
+        const signedPost = await signSinglePostMedia(renewedPost);
+
+        res.json({
+            success: true,
+            message: 'Post renewed',
+            data: signedPost
+        });
+    } catch (error) {
+        console.error('Admin renew post error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to renew post'
+        });
+    }
+};
+
+/**
+ * @desc    Get post statistics
+ * @route   GET /api/admin/posts/stats
+ * @access  Private (admin)
+ */
+const getPostStats = async (req, res) => {
     try {
         const [totalPosts, todayPosts, weeklyPosts] = await Promise.all([
             Post.countDocuments(),
@@ -406,9 +922,22 @@ const getRejectedPosts = async (req, res) => {
 const approvePost = async (req, res) => {
     try {
         const post = await Post.findById(req.params.id);
-        if (!post) return res.status(404).json({ success: false, message: 'Post not found' });
+        if (!post || post.status === 'draft') return res.status(404).json({ success: false, message: 'Post not found' });
 
-        post.status = 'published';
+        // Publishing would announce a dead vacancy — the expiry has to move first
+        if (post.expiresAt && post.expiresAt <= new Date()) {
+            return res.status(400).json({
+                success: false,
+                message: post.status === 'expired'
+                    ? 'This post has expired. Renew it with a new deadline (PUT /api/admin/posts/:id/renew) instead'
+                    : 'This post\'s expiry has passed. It needs a new expiry date before it can be approved'
+            });
+        }
+
+        const wasPublished = post.status === 'published';
+        // Approved ahead of its go-live time — the scheduler publishes it later
+        const isScheduled = !wasPublished && post.publishAt && post.publishAt > new Date();
+        post.status = isScheduled ? 'scheduled' : 'published';
         const approver = req.superAdmin || req.admin;
         post.approvedBy = approver ? approver._id : null;
         post.approvedAt = Date.now();
@@ -416,7 +945,15 @@ const approvePost = async (req, res) => {
 
         await post.save();
         const signedPost = await signSinglePostMedia(post);
-        res.json({ success: true, message: 'Post approved', data: signedPost });
+        res.json({
+            success: true,
+            message: isScheduled ? 'Post approved and scheduled' : 'Post approved',
+            data: signedPost
+        });
+
+        if (!wasPublished && !isScheduled) {
+            announcePublishedPost(post, req.app.get('io'));
+        }
     } catch (error) {
         res.status(500).json({ success: false, message: error.message });
     }
@@ -431,7 +968,7 @@ const rejectPost = async (req, res) => {
 
     try {
         const post = await Post.findById(req.params.id);
-        if (!post) return res.status(404).json({ success: false, message: 'Post not found' });
+        if (!post || post.status === 'draft') return res.status(404).json({ success: false, message: 'Post not found' });
 
         post.status = 'rejected';
         const rejector = req.superAdmin || req.admin;
@@ -523,7 +1060,9 @@ const getPostAnalytics = async (req, res) => {
                 statusBreakdown: {
                     published: statusMap['published'] || 0,
                     pending: (statusMap['pending'] || 0) + (statusMap['pending_trusted'] || 0),
+                    scheduled: statusMap['scheduled'] || 0,
                     rejected: statusMap['rejected'] || 0,
+                    expired: statusMap['expired'] || 0,
                     total: Object.values(statusMap).reduce((a, b) => a + b, 0)
                 },
                 totalLikes: likesAgg[0]?.totalLikes || 0,
@@ -538,58 +1077,307 @@ const getPostAnalytics = async (req, res) => {
     }
 };
 
+const MAX_ANALYTICS_DAYS = 365;
+
+// Applications per unique viewer, 0 when nobody has viewed yet
+const conversionRate = (applications, uniqueViewers) => (
+    uniqueViewers > 0 ? Math.round((applications / uniqueViewers) * 10000) / 10000 : 0
+);
+
+/**
+ * @desc    Funnel analytics of one post: impressions, detail views, unique viewers,
+ *          applications, view→apply conversion and a daily series.
+ *          Impressions/views are flushed from Redis periodically, so they lag by up to a minute.
+ * @route   GET /api/admin/posts/:id/analytics
+ * @access  Private (admin)
+ * @query   days (default 30, max 365)
+ */
+const getPostFunnelAnalytics = async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ success: false, message: 'Post not found' });
+        }
+
+        const post = await Post.findById(req.params.id).select(`${POST_ACCESS_FIELDS} stats createdAt`).lean();
+        if (!post) {
+            return res.status(404).json({ success: false, message: 'Post not found' });
+        }
+
+        if (!isPostOwner(post, req.admin)) {
+            return res.status(403).json({ success: false, message: 'Not authorized to view this post' });
+        }
+
+        const days = Math.min(Math.max(parseInt(req.query.days) || 30, 1), MAX_ANALYTICS_DAYS);
+        const from = new Date();
+        from.setUTCHours(0, 0, 0, 0);
+        from.setUTCDate(from.getUTCDate() - (days - 1));
+
+        const [dailyStats, dailyApplications, totalApplications] = await Promise.all([
+            PostDailyStat.find({ post: post._id, date: { $gte: from } }).lean(),
+            InterestedApplication.aggregate([
+                { $match: { post: post._id, createdAt: { $gte: from } } },
+                {
+                    $group: {
+                        _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+                        count: { $sum: 1 }
+                    }
+                }
+            ]),
+            InterestedApplication.countDocuments({ post: post._id })
+        ]);
+
+        // Fill every day in the range, including days with no activity
+        const statsByDay = new Map(dailyStats.map(stat => [stat.date.toISOString().slice(0, 10), stat]));
+        const applicationsByDay = new Map(dailyApplications.map(day => [day._id, day.count]));
+        const series = [];
+        for (let i = 0; i < days; i++) {
+            const date = new Date(from);
+            date.setUTCDate(from.getUTCDate() + i);
+            const key = date.toISOString().slice(0, 10);
+            const stat = statsByDay.get(key) || {};
+            const applications = applicationsByDay.get(key) || 0;
+            series.push({
+                date: key,
+                impressions: stat.impressions || 0,
+                views: stat.views || 0,
+                uniqueViewers: stat.uniqueViewers || 0,
+                applications,
+                conversionRate: conversionRate(applications, stat.uniqueViewers || 0)
+            });
+        }
+
+        const stats = post.stats || {};
+        res.json({
+            success: true,
+            data: {
+                totals: {
+                    impressions: stats.impressions || 0,
+                    views: stats.views || 0,
+                    uniqueViewers: stats.uniqueViewers || 0,
+                    applications: totalApplications,
+                    conversionRate: conversionRate(totalApplications, stats.uniqueViewers || 0)
+                },
+                series
+            }
+        });
+    } catch (error) {
+        console.error('Post funnel analytics error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch post analytics' });
+    }
+};
+
+const APPLICATION_POST_FIELDS = 'content image_url video_url media createdAt status user userModel company job';
+
 /**
- * @desc    Get interested users for posts created by the logged-in admin
+ * @desc    Get interested users for posts the logged-in admin manages — own and company posts (paginated)
  * @route   GET /api/admin/posts/interested-applications
  * @access  Private (admin)
+ * @query   page, limit, post, status, from, to, q, minRating, sort
  */
 const getInterestedApplications = async (req, res) => {
     try {
-        const userModel = req.admin.isUserAdmin ? 'User' : 'Admin';
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const skip = (page - 1) * limit;
+
+        // Scope to the admin's own and company posts up front instead of populating + filtering in memory
+        const ownPostIds = await Post.distinct('_id', managedPostsFilter(req.admin));
+
+        const filter = { post: { $in: ownPostIds } };
+
+        if (req.query.post) {
+            const owns = ownPostIds.some(postId => postId.toString() === req.query.post);
+            if (!owns) {
+                return res.status(403).json({ success: false, message: 'Not authorized to view applications for this post' });
+            }
+            filter.post = req.query.post;
+        }
+
+        if (req.query.status) {
+            filter.status = { $in: String(req.query.status).split(',').map(s => s.trim()).filter(Boolean) };
+        }
+
+        const from = req.query.from ? new Date(req.query.from) : null;
+        const to = req.query.to ? new Date(req.query.to) : null;
+        if ((from && Number.isNaN(from.getTime())) || (to && Number.isNaN(to.getTime()))) {
+            return res.status(400).json({ success: false, message: 'Invalid date range' });
+        }
+        if (from || to) {
+            filter.createdAt = {};
+            if (from) filter.createdAt.$gte = from;
+            if (to) filter.createdAt.$lte = to;
+        }
+
+        const keyword = (req.query.q || '').trim();
+        if (keyword) {
+            const pattern = new RegExp(escapeRegex(keyword.slice(0, 100)), 'i');
+            filter.$or = [{ fullName: pattern }, { email: pattern }, { location: pattern }];
+        }
+
+        // Optional rating filter/sort (averageRating is denormalized from reviewer ratings)
+        const minRating = parseFloat(req.query.minRating);
+        if (Number.isFinite(minRating)) {
+            filter.averageRating = { $gte: minRating };
+        }
 
-        const applications = await InterestedApplication.find()
+        let sortOption = { createdAt: -1 };
+        if (req.query.sort === 'oldest') sortOption = { createdAt: 1 };
+        else if (req.query.sort === 'rating_desc') sortOption = { averageRating: -1, createdAt: -1 };
+        else if (req.query.sort === 'rating_asc') sortOption = { averageRating: 1, createdAt: -1 };
+
+        const [applications, total] = await Promise.all([
+            InterestedApplication.find(filter)
+                .populate({
+                    path: 'post',
+                    populate: {
+                        path: 'user',
+                        select: 'username display_name avatar_url',
+                    },
+                    select: APPLICATION_POST_FIELDS,
+                })
+                .populate('applicant', 'username display_name avatar_url email')
+                .sort(sortOption)
+                .skip(skip)
+                .limit(limit)
+                .lean(),
+            InterestedApplication.countDocuments(filter)
+        ]);
+
+        // Document URLs are signed lazily in getInterestedApplicationById
+        const data = await Promise.all(applications.map(async (application) => ({
+            ...application,
+            post: application.post ? await signSinglePostMedia(application.post) : null,
+            documents: (application.documents || []).map(({ r2Key, ...document }) => document),
+        })));
+
+        res.json({
+            success: true,
+            data,
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(total / limit),
+                totalItems: total,
+                itemsPerPage: limit
+            }
+        });
+    } catch (error) {
+        console.error('Admin interested applications error:', error);
+        res.status(500).json({
+            success: false,
+            message: 'Failed to fetch interested applications',
+        });
+    }
+};
+
+/**
+ * @desc    Search the logged-in admin's applicants by resume content
+ * @route   GET /api/admin/posts/interested-applications/search
+ * @access  Private (admin)
+ * @query   q (required), post, page, limit
+ */
+const searchInterestedApplications = async (req, res) => {
+    try {
+        const q = (req.query.q || '').trim().slice(0, 200);
+        if (!q) {
+            return res.status(400).json({ success: false, message: 'Search query is required' });
+        }
+
+        const page = Math.max(parseInt(req.query.page) || 1, 1);
+        const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+        const skip = (page - 1) * limit;
+
+        const ownPostIds = await Post.distinct('_id', managedPostsFilter(req.admin));
+        const filter = { $text: { $search: q }, post: { $in: ownPostIds } };
+
+        if (req.query.post) {
+            const owns = ownPostIds.some(postId => postId.toString() === req.query.post);
+            if (!owns) {
+                return res.status(403).json({ success: false, message: 'Not authorized to view applications for this post' });
+            }
+            filter.post = req.query.post;
+        }
+
+        const [applications, total] = await Promise.all([
+            InterestedApplication.find(filter, { score: { $meta: 'textScore' } })
+                .select('+resumeText')
+                .populate({ path: 'post', select: 'content job status createdAt' })
+                .populate('applicant', 'username display_name avatar_url email')
+                .sort({ score: { $meta: 'textScore' } })
+                .skip(skip)
+                .limit(limit)
+                .lean(),
+            InterestedApplication.countDocuments(filter)
+        ]);
+
+        const data = applications.map(({ resumeText, documents, ...application }) => ({
+            ...application,
+            documents: (documents || []).map(({ r2Key, ...document }) => document),
+            highlights: buildHighlights(resumeText, q),
+        }));
+
+        res.json({
+            success: true,
+            data,
+            pagination: {
+                currentPage: page,
+                totalPages: Math.ceil(total / limit),
+                totalItems: total,
+                itemsPerPage: limit
+            }
+        });
+    } catch (error) {
+        console.error('Admin search interested applications error:', error);
+        res.status(500).json({ success: false, message: 'Failed to search applications' });
+    }
+};
+
+/**
+ * @desc    Get a single interested application with signed document URLs
+ * @route   GET /api/admin/posts/interested-applications/:id
+ * @access  Private (admin)
+ */
+const getInterestedApplicationById = async (req, res) => {
+    try {
+        const application = await InterestedApplication.findById(req.params.id)
             .populate({
                 path: 'post',
-                match: {
-                    user: req.admin._id,
-                    userModel,
-                },
                 populate: {
                     path: 'user',
                     select: 'username display_name avatar_url',
                 },
-                select: 'content image_url video_url createdAt status user userModel',
+                select: APPLICATION_POST_FIELDS,
             })
             .populate('applicant', 'username display_name avatar_url email')
-            .sort({ createdAt: -1 })
             .lean();
 
-        const filteredApplications = applications.filter((application) => application.post);
+        if (!application || !application.post) {
+            return res.status(404).json({ success: false, message: 'Application not found' });
+        }
 
-        const signedApplications = await Promise.all(filteredApplications.map(async (application) => {
-            const signedPost = await signSinglePostMedia(application.post);
-            const documents = await Promise.all((application.documents || []).map(async (document) => ({
-                ...document,
-                previewUrl: await signR2ObjectKey(document.r2Key),
-            })));
+        if (!isPostOwner(application.post, req.admin)) {
+            return res.status(403).json({ success: false, message: 'Not authorized to view this application' });
+        }
 
-            return {
-                ...application,
-                post: signedPost,
-                documents,
-            };
-        }));
+        const signedPost = await signSinglePostMedia(application.post);
+        const documents = await Promise.all((application.documents || []).map(async (document) => ({
+            ...document,
+            previewUrl: await signR2ObjectKey(document.r2Key),
+        })));
 
         res.json({
             success: true,
-            data: signedApplications,
+            data: {
+                ...application,
+                post: signedPost,
+                documents,
+            },
         });
     } catch (error) {
-        console.error('Admin interested applications error:', error);
-        res.status(500).json({
-            success: false,
-            message: 'Failed to fetch interested applications',
-        });
+        if (error.kind === 'ObjectId') {
+            return res.status(404).json({ success: false, message: 'Application not found' });
+        }
+        console.error('Admin interested application error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch interested application' });
     }
 };
 
@@ -602,48 +1390,419 @@ const updateInterestedApplicationStatus = async (req, res) => {
     try {
         const { id } = req.params;
         const { status } = req.body;
+        const message = typeof req.body.message === 'string' ? sanitizeInput(req.body.message).slice(0, 1000) : '';
+        const note = typeof req.body.note === 'string' ? sanitizeInput(req.body.note).slice(0, 1000) : '';
 
         const application = await InterestedApplication.findById(id).populate({
             path: 'post',
-            select: 'user userModel'
+            select: POST_ACCESS_FIELDS
         });
 
-        if (!application) {
+        if (!application || !application.post) {
             return res.status(404).json({ success: false, message: 'Application not found' });
         }
 
         // Verify the post belongs to the admin
-        if (application.post.user.toString() !== req.admin._id.toString()) {
+        if (!isPostOwner(application.post, req.admin)) {
             return res.status(403).json({ success: false, message: 'Not authorized to update this application' });
         }
 
-        const validStatuses = ['pending', 'reviewed', 'approved', 'rejected', 'submitted', 'contacted'];
-        if (!validStatuses.includes(status)) {
-            return res.status(400).json({ success: false, message: 'Invalid status' });
+        if (application.status === WITHDRAWN_STAGE) {
+            return res.status(409).json({ success: false, message: 'The applicant has withdrawn this application' });
         }
 
-        application.status = status;
-        await application.save();
+        const { stages } = await resolvePipeline(application.post);
+        if (!canTransition(stages, application.status, status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot move application from "${application.status}" to "${status}"`
+            });
+        }
+
+        const previousStatus = application.status;
+
+        // Conditional on the status we validated against, so concurrent moves can't skip a stage
+        const updated = await InterestedApplication.findOneAndUpdate(
+            { _id: application._id, status: previousStatus },
+            {
+                $set: { status },
+                $push: {
+                    statusHistory: {
+                        from: previousStatus,
+                        to: status,
+                        actor: req.admin._id,
+                        actorModel: req.admin.isUserAdmin ? 'User' : 'Admin',
+                        note,
+                        changedAt: new Date()
+                    }
+                }
+            },
+            { new: true }
+        );
 
-        res.json({ success: true, message: 'Status updated successfully', data: application });
+        if (!updated) {
+            return res.status(409).json({ success: false, message: 'Application was updated by someone else, please refresh' });
+        }
+
+        res.json({ success: true, message: 'Status updated successfully', data: updated });
+
+        // Notify the applicant of the transition (same pattern as likes/comments)
+        try {
+            const activity = await Activity.create({
+                recipient: updated.applicant,
+                actor: req.admin._id,
+                actorModel: req.admin.isUserAdmin ? 'User' : 'Admin',
+                type: 'APPLICATION_STATUS',
+                post: application.post._id,
+                application: updated._id,
+                status,
+                message: message || undefined
+            });
+            const populatedActivity = await Activity.findById(activity._id)
+                .populate('actor', 'username display_name avatar_url')
+                .populate('post', 'content image_url job');
+
+            req.app.get('io').to(updated.applicant.toString()).emit('new_activity', populatedActivity);
+        } catch (notifyError) {
+            console.error('Application status notification error:', notifyError);
+        }
     } catch (error) {
         console.error('Update interested application status error:', error);
         res.status(500).json({ success: false, message: 'Failed to update application status' });
     }
 };
 
+/**
+ * @desc    Get the status transition history of an interested application
+ * @route   GET /api/admin/posts/interested-applications/:id/history
+ * @access  Private (admin)
+ */
+const getInterestedApplicationHistory = async (req, res) => {
+    try {
+        const application = await InterestedApplication.findById(req.params.id)
+            .select('post status statusHistory')
+            .populate({ path: 'post', select: POST_ACCESS_FIELDS })
+            .populate('statusHistory.actor', 'username display_name avatar_url')
+            .lean();
+
+        if (!application || !application.post) {
+            return res.status(404).json({ success: false, message: 'Application not found' });
+        }
+
+        if (!isPostOwner(application.post, req.admin)) {
+            return res.status(403).json({ success: false, message: 'Not authorized to view this application' });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                status: application.status,
+                history: application.statusHistory || []
+            }
+        });
+    } catch (error) {
+        console.error('Get application history error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch application history' });
+    }
+};
+
+/**
+ * @desc    Get the hiring pipeline of a post with per-stage application counts
+ * @route   GET /api/admin/posts/:id/pipeline
+ * @access  Private (admin)
+ */
+const getPostPipeline = async (req, res) => {
+    try {
+        const post = await Post.findById(req.params.id).select(POST_ACCESS_FIELDS).lean();
+        if (!post) {
+            return res.status(404).json({ success: false, message: 'Post not found' });
+        }
+
+        if (!isPostOwner(post, req.admin)) {
+            return res.status(403).json({ success: false, message: 'Not authorized to view this post' });
+        }
+
+        const [{ stages, source }, statusCounts] = await Promise.all([
+            resolvePipeline(post),
+            InterestedApplication.aggregate([
+                { $match: { post: post._id } },
+                { $group: { _id: '$status', count: { $sum: 1 } } }
+            ])
+        ]);
+
+        // Fold legacy statuses into the stage they map to
+        const counts = {};
+        statusCounts.forEach(({ _id, count }) => {
+            const key = normalizeStatus(stages, _id);
+            counts[key] = (counts[key] || 0) + count;
+        });
+
+        res.json({
+            success: true,
+            data: {
+                source,
+                stages: stages.map(stage => ({ ...stage, count: counts[stage.key] || 0 })),
+                withdrawn: counts[WITHDRAWN_STAGE] || 0,
+                total: statusCounts.reduce((sum, s) => sum + s.count, 0)
+            }
+        });
+    } catch (error) {
+        console.error('Get post pipeline error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch pipeline' });
+    }
+};
+
+/**
+ * @desc    Revision history of any post, including ones sent back to moderation
+ * @route   GET /api/admin/posts/:id/revisions
+ * @access  Private (admin who manages the post, or super admin)
+ */
+const getPostRevisions = async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ success: false, message: 'Post not found' });
+        }
+
+        const post = await Post.findById(req.params.id).select(`${POST_ACCESS_FIELDS} status editedAt`).lean();
+        if (!post) {
+            return res.status(404).json({ success: false, message: 'Post not found' });
+        }
+
+        if (!req.superAdmin && !isPostOwner(post, req.admin)) {
+            return res.status(403).json({ success: false, message: 'Not authorized to view this post' });
+        }
+
+        const page = await listPostRevisions(post._id, req.query);
+        res.json({
+            success: true,
+            data: { status: post.status, editedAt: post.editedAt, ...page }
+        });
+    } catch (error) {
+        console.error('Get post revisions error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch revisions' });
+    }
+};
+
+/**
+ * Check that a pipeline change leaves no application in a stage that no longer
+ * exists. Applications in removed stages must be mapped via body.stageMapping.
+ * @param {Array} postIds - Posts the new stages will apply to
+ * @param {Array} stages - New pipeline stages
+ * @param {*} rawMapping - req.body.stageMapping ({ oldStatus: newStageKey })
+ * @returns {Promise<{ mapping?: object, orphaned?: object, error?: string }>}
+ */
+const checkPipelineChange = async (postIds, stages, rawMapping) => {
+    const orphaned = await findOrphanedStatuses(postIds, stages);
+    const { mapping, error } = validateStageMapping(rawMapping, orphaned, stages);
+    return error ? { error, orphaned } : { mapping };
+};
+
+/**
+ * @desc    Set (or clear, with an empty body) the hiring pipeline override of a post.
+ *          Applications in stages the change removes need a stageMapping, else 409.
+ * @route   PUT /api/admin/posts/:id/pipeline
+ * @access  Private (admin)
+ */
+const updatePostPipeline = async (req, res) => {
+    try {
+        const post = await Post.findById(req.params.id).select(POST_ACCESS_FIELDS).lean();
+        if (!post) {
+            return res.status(404).json({ success: false, message: 'Post not found' });
+        }
+
+        if (!isPostOwner(post, req.admin)) {
+            return res.status(403).json({ success: false, message: 'Not authorized to update this post' });
+        }
+
+        // One override per post, shared by everyone who manages it (author and company members)
+        if (!req.body.stages) {
+            const { stages: fallbackStages } = await resolvePipeline(post, { ignoreOverride: true });
+            const { mapping, orphaned, error: changeError } = await checkPipelineChange(
+                [post._id], fallbackStages, req.body.stageMapping
+            );
+            if (changeError) {
+                return res.status(409).json({ success: false, message: changeError, data: { orphanedStatuses: orphaned } });
+            }
+
+            await HiringPipeline.deleteMany({ post: post._id });
+            await migrateOrphanedStatuses([post._id], mapping, req.admin);
+            return res.json({ success: true, message: 'Post pipeline reset', data: await resolvePipeline(post) });
+        }
+
+        const { stages, error } = validateStages(req.body.stages);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const { mapping, orphaned, error: changeError } = await checkPipelineChange(
+            [post._id], stages, req.body.stageMapping
+        );
+        if (changeError) {
+            return res.status(409).json({ success: false, message: changeError, data: { orphanedStatuses: orphaned } });
+        }
+
+        const pipeline = await HiringPipeline.findOneAndUpdate(
+            { post: post._id },
+            {
+                $set: { stages },
+                $setOnInsert: { owner: req.admin._id, ownerModel: req.admin.isUserAdmin ? 'User' : 'Admin' }
+            },
+            { new: true, upsert: true, runValidators: true }
+        );
+        await migrateOrphanedStatuses([post._id], mapping, req.admin);
+
+        res.json({ success: true, message: 'Post pipeline updated', data: pipeline });
+    } catch (error) {
+        console.error('Update post pipeline error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update pipeline' });
+    }
+};
+
+/**
+ * @desc    Get the logged-in admin's default hiring pipeline
+ * @route   GET /api/admin/posts/pipeline/default
+ * @access  Private (admin)
+ */
+const getDefaultPipeline = async (req, res) => {
+    try {
+        const pipeline = await HiringPipeline.findOne({ owner: req.admin._id, post: null }).lean();
+        res.json({
+            success: true,
+            data: pipeline
+                ? { source: 'admin', stages: pipeline.stages }
+                : { source: 'default', stages: DEFAULT_STAGES }
+        });
+    } catch (error) {
+        console.error('Get default pipeline error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch pipeline' });
+    }
+};
+
+/**
+ * @desc    Set the logged-in admin's default hiring pipeline.
+ *          Applies to their posts without an override; removed stages need a stageMapping, else 409.
+ * @route   PUT /api/admin/posts/pipeline/default
+ * @access  Private (admin)
+ */
+const updateDefaultPipeline = async (req, res) => {
+    try {
+        const { stages, error } = validateStages(req.body.stages);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const ownPostIds = await Post.distinct('_id', { user: req.admin._id });
+        const overriddenPostIds = (await HiringPipeline.distinct('post', { post: { $in: ownPostIds } }))
+            .map(id => id.toString());
+        const affectedPostIds = ownPostIds.filter(id => !overriddenPostIds.includes(id.toString()));
+
+        const { mapping, orphaned, error: changeError } = await checkPipelineChange(
+            affectedPostIds, stages, req.body.stageMapping
+        );
+        if (changeError) {
+            return res.status(409).json({ success: false, message: changeError, data: { orphanedStatuses: orphaned } });
+        }
+
+        const pipeline = await HiringPipeline.findOneAndUpdate(
+            { owner: req.admin._id, post: null },
+            { $set: { stages, ownerModel: req.admin.isUserAdmin ? 'User' : 'Admin' } },
+            { new: true, upsert: true, runValidators: true }
+        );
+        await migrateOrphanedStatuses(affectedPostIds, mapping, req.admin);
+
+        res.json({ success: true, message: 'Default pipeline updated', data: pipeline });
+    } catch (error) {
+        console.error('Update default pipeline error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update pipeline' });
+    }
+};
+
+/**
+ * @desc    Get the screening questions of a post, including knockout rules
+ * @route   GET /api/admin/posts/:id/screening-questions
+ * @access  Private (admin)
+ */
+const getScreeningQuestions = async (req, res) => {
+    try {
+        // Selecting the array explicitly includes the (normally hidden) knockout rules
+        const post = await Post.findById(req.params.id).select(`${POST_ACCESS_FIELDS} screeningQuestions`).lean();
+        if (!post) {
+            return res.status(404).json({ success: false, message: 'Post not found' });
+        }
+
+        if (!isPostOwner(post, req.admin)) {
+            return res.status(403).json({ success: false, message: 'Not authorized to view this post' });
+        }
+
+        res.json({ success: true, data: post.screeningQuestions });
+    } catch (error) {
+        console.error('Get screening questions error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch screening questions' });
+    }
+};
+
+/**
+ * @desc    Replace (or clear, with an empty list) the screening questions of a post
+ * @route   PUT /api/admin/posts/:id/screening-questions
+ * @access  Private (admin)
+ */
+const updateScreeningQuestions = async (req, res) => {
+    try {
+        const post = await Post.findById(req.params.id).select(POST_ACCESS_FIELDS).lean();
+        if (!post) {
+            return res.status(404).json({ success: false, message: 'Post not found' });
+        }
+
+        if (!isPostOwner(post, req.admin)) {
+            return res.status(403).json({ success: false, message: 'Not authorized to update this post' });
+        }
+
+        const { questions, error } = parseScreeningQuestions(req.body.questions ?? null);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const updated = await Post.findByIdAndUpdate(
+            post._id,
+            { $set: { screeningQuestions: questions } },
+            { new: true, runValidators: true }
+        ).select('+screeningQuestions.knockout').lean();
+
+        res.json({ success: true, message: 'Screening questions updated', data: updated.screeningQuestions });
+    } catch (error) {
+        console.error('Update screening questions error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update screening questions' });
+    }
+};
+
 module.exports = {
     getAllPosts,
     createPost,
     updatePost,
     deletePost,
+    getDrafts,
+    createDraft,
+    updateDraft,
+    submitDraft,
+    renewPost,
     getPostStats,
     getPostAnalytics,
+    getPostFunnelAnalytics,
+    getPostRevisions,
     getPendingPosts,
     getTrustedPendingPosts,
     getRejectedPosts,
     approvePost,
     rejectPost,
     getInterestedApplications,
-    updateInterestedApplicationStatus
+    searchInterestedApplications,
+    getInterestedApplicationById,
+    updateInterestedApplicationStatus,
+    getInterestedApplicationHistory,
+    getPostPipeline,
+    updatePostPipeline,
+    getDefaultPipeline,
+    updateDefaultPipeline,
+    getScreeningQuestions,
+    updateScreeningQuestions
 };
@@ -0,0 +1,369 @@
+const path = require('path');
+const { Transform, pipeline } = require('stream');
+const mongoose = require('mongoose');
+const archiver = require('archiver');
+const Post = require('../../models/Post');
+const InterestedApplication = require('../../models/InterestedApplication');
+const DocumentAccessLog = require('../models/DocumentAccessLog');
+const { getDecompressedObjectStream } = require('../../config/r2');
+const { POST_ACCESS_FIELDS, isPostOwner } = require('../../utils/postAccess');
+
+// Only these types are safe to render in the browser; everything else is forced to download
+const INLINE_MIME_TYPES = new Set(['application/pdf', 'image/png', 'image/jpeg', 'image/webp']);
+
+/**
+ * Record an admin's access to applicant documents. Never blocks or fails the download.
+ */
+const logDocumentAccess = (req, fields) => {
+    DocumentAccessLog.create({
+        admin: req.admin._id,
+        adminModel: req.admin.isUserAdmin ? 'User' : 'Admin',
+        ip: req.ip,
+        userAgent: (req.headers['user-agent'] || '').slice(0, 300),
+        ...fields
+    }).catch((err) => console.error('[DocumentAccess] log error:', err.message));
+};
+
+/**
+ * Parse a single-range "bytes=start-end" header against a known size.
+ * @returns {{ start: number, end: number }|null|false} null = no range, false = unsatisfiable
+ */
+const parseRange = (header, size) => {
+    if (!header) return null;
+    const match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+    if (!match || (match[1] === '' && match[2] === '')) return false;
+
+    let start;
+    let end;
+    if (match[1] === '') {
+        // Suffix range: last N bytes
+        start = Math.max(size - parseInt(match[2], 10), 0);
+        end = size - 1;
+    } else {
+        start = parseInt(match[1], 10);
+        end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+    }
+
+    if (start > end || start >= size) return false;
+    return { start, end };
+};
+
+/**
+ * Transform that passes through only bytes [start, end] of the stream
+ */
+const createByteRangeStream = (start, end) => {
+    let position = 0;
+    return new Transform({
+        transform(chunk, _encoding, callback) {
+            const chunkStart = position;
+            const chunkEnd = position + chunk.length - 1;
+            position += chunk.length;
+
+            // Outside the range: drop it (documents are capped at 10 MB, so reading past the end is cheap)
+            if (chunkEnd < start || chunkStart > end) {
+                return callback();
+            }
+            callback(null, chunk.subarray(Math.max(start - chunkStart, 0), Math.min(end - chunkStart, chunk.length - 1) + 1));
+        }
+    });
+};
+
+/**
+ * Build a Content-Disposition header that keeps non-ASCII original filenames
+ */
+const contentDisposition = (type, filename) => {
+    const fallback = filename.replace(/[^\x20-\x7e]/g, '_').replace(/["\\]/g, '_');
+    return `${type}; filename="${fallback}"; filename*=UTF-8''${encodeURIComponent(filename)}`;
+};
+
+/**
+ * Make a filename safe for use inside a ZIP (no directories, no control chars)
+ */
+const safeEntryName = (name, fallback = 'document') => {
+    const base = path.basename(String(name || ''))
+        .replace(/[\x00-\x1f<>:"/\\|?*]/g, '_')
+        .trim()
+        .slice(0, 120);
+    return base || fallback;
+};
+
+/**
+ * Return a name that does not collide with any already used in the same folder
+ */
+const uniqueName = (name, used) => {
+    let candidate = name;
+    const { name: stem, ext } = path.parse(name);
+    for (let i = 1; used.has(candidate.toLowerCase()); i++) {
+        candidate = `${stem} (${i})${ext}`;
+    }
+    used.add(candidate.toLowerCase());
+    return candidate;
+};
+
+/**
+ * Append one R2 document to the archive and wait until archiver has consumed it,
+ * so only one R2 download is open at a time.
+ */
+const appendDocument = async (zip, document, entryName) => {
+    const stream = await getDecompressedObjectStream(document.r2Key);
+    let onEntry;
+    let onError;
+    try {
+        await Promise.race([
+            zip.failed,
+            new Promise((resolve, reject) => {
+                onEntry = resolve;
+                onError = reject;
+                zip.archive.once('entry', onEntry);
+                stream.once('error', onError);
+                zip.archive.append(stream, { name: entryName });
+            })
+        ]);
+    } catch (err) {
+        // Don't leave the R2 download open behind an aborted archive
+        stream.destroy();
+        throw err;
+    } finally {
+        zip.archive.off('entry', onEntry);
+        stream.off('error', onError);
+    }
+};
+
+/**
+ * Append every document of an application under an optional folder
+ */
+const appendApplicationDocuments = async (zip, application, folder = '') => {
+    const used = new Set();
+    for (const document of application.documents || []) {
+        const name = uniqueName(safeEntryName(document.originalName), used);
+        await appendDocument(zip, document, folder ? `${folder}/${name}` : name);
+    }
+};
+
+/**
+ * Pipe a ZIP archive to the response with download headers.
+ * When the client goes away or archiver fails, the archive is aborted and `failed`
+ * rejects — an unpiped archive stalls and never emits 'entry' or 'end', so every
+ * wait on it races `failed`.
+ * @returns {{ archive: object, failed: Promise<never> }}
+ */
+const startZipResponse = (res, filename) => {
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Disposition', contentDisposition('attachment', filename));
+    res.setHeader('Cache-Control', 'no-store');
+
+    // Documents are already compressed formats (PDF/DOCX/images) — store, don't deflate
+    const archive = archiver('zip', { store: true });
+    archive.on('warning', (err) => console.warn('[ZIP] warning:', err.message));
+
+    const failed = new Promise((resolve, reject) => {
+        const abort = (error) => {
+            archive.abort();
+            reject(error);
+        };
+        res.on('close', () => {
+            if (!res.writableFinished) {
+                const error = new Error('Client disconnected');
+                error.code = 'CLIENT_DISCONNECTED';
+                abort(error);
+            }
+        });
+        archive.on('error', abort);
+    });
+    failed.catch(() => {}); // only observed through Promise.race
+
+    archive.pipe(res);
+    return { archive, failed };
+};
+
+/**
+ * Write the ZIP's central directory and wait until it has been sent
+ */
+const finalizeZip = (zip) => Promise.race([zip.archive.finalize(), zip.failed]);
+
+/**
+ * Abort a ZIP response after an error, or send a JSON error if nothing was streamed yet
+ */
+const failZipResponse = (res, zip, error, message) => {
+    if (error.code !== 'CLIENT_DISCONNECTED') {
+        console.error(`${message}:`, error);
+    }
+    if (zip) zip.archive.abort();
+    if (!res.headersSent) {
+        return res.status(500).json({ success: false, message });
+    }
+    res.destroy(error);
+};
+
+/**
+ * @desc    Download all documents of one application as a ZIP (original filenames, decompressed)
+ * @route   GET /api/admin/posts/interested-applications/:id/documents/zip
+ * @access  Private (admin who owns the post)
+ */
+const downloadApplicationDocumentsZip = async (req, res) => {
+    let zip;
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ success: false, message: 'Application not found' });
+        }
+
+        const application = await InterestedApplication.findById(req.params.id)
+            .select('post fullName documents')
+            .populate({ path: 'post', select: POST_ACCESS_FIELDS })
+            .lean();
+
+        if (!application || !application.post) {
+            return res.status(404).json({ success: false, message: 'Application not found' });
+        }
+
+        if (!isPostOwner(application.post, req.admin)) {
+            return res.status(403).json({ success: false, message: 'Not authorized to download these documents' });
+        }
+
+        if (!application.documents || application.documents.length === 0) {
+            return res.status(404).json({ success: false, message: 'This application has no documents' });
+        }
+
+        logDocumentAccess(req, { application: application._id, post: application.post._id, action: 'zip' });
+
+        const filename = `${safeEntryName(application.fullName, 'applicant').replace(/\s+/g, '-')}-${application._id}.zip`;
+        zip = startZipResponse(res, filename);
+        await appendApplicationDocuments(zip, application);
+        await finalizeZip(zip);
+    } catch (error) {
+        failZipResponse(res, zip, error, 'Failed to build documents archive');
+    }
+};
+
+/**
+ * @desc    Download every application's documents for a post as one ZIP, one folder per applicant
+ * @route   GET /api/admin/posts/:id/interested-applications/documents/zip
+ * @access  Private (admin who owns the post)
+ */
+const downloadPostDocumentsZip = async (req, res) => {
+    let zip;
+    let cursor;
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ success: false, message: 'Post not found' });
+        }
+
+        const post = await Post.findById(req.params.id).select(POST_ACCESS_FIELDS).lean();
+        if (!post) {
+            return res.status(404).json({ success: false, message: 'Post not found' });
+        }
+
+        if (!isPostOwner(post, req.admin)) {
+            return res.status(403).json({ success: false, message: 'Not authorized to download these documents' });
+        }
+
+        logDocumentAccess(req, { post: post._id, action: 'zip_bulk' });
+
+        zip = startZipResponse(res, `applications-${post._id}.zip`);
+
+        // Cursor keeps memory flat for posts with many applicants
+        cursor = InterestedApplication.find({ post: post._id, 'documents.0': { $exists: true } })
+            .select('fullName documents')
+            .sort({ createdAt: 1 })
+            .lean()
+            .cursor();
+
+        const usedFolders = new Set();
+        for await (const application of cursor) {
+            const folder = uniqueName(safeEntryName(application.fullName, 'applicant'), usedFolders);
+            await appendApplicationDocuments(zip, application, folder);
+        }
+
+        await finalizeZip(zip);
+    } catch (error) {
+        if (cursor) await cursor.close().catch(() => {});
+        failZipResponse(res, zip, error, 'Failed to build documents archive');
+    }
+};
+
+/**
+ * @desc    Stream one application document, decompressed, with its original name and type.
+ *          Supports single byte ranges so PDF viewers can seek. ?download=1 forces attachment.
+ * @route   GET /api/admin/posts/interested-applications/:id/documents/:index
+ * @access  Private (admin who owns the post)
+ */
+const streamApplicationDocument = async (req, res) => {
+    try {
+        const index = parseInt(req.params.index, 10);
+        if (!mongoose.Types.ObjectId.isValid(req.params.id) || !Number.isInteger(index) || index < 0) {
+            return res.status(404).json({ success: false, message: 'Document not found' });
+        }
+
+        const application = await InterestedApplication.findById(req.params.id)
+            .select('post documents')
+            .populate({ path: 'post', select: POST_ACCESS_FIELDS })
+            .lean();
+
+        if (!application || !application.post) {
+            return res.status(404).json({ success: false, message: 'Application not found' });
+        }
+
+        if (!isPostOwner(application.post, req.admin)) {
+            return res.status(403).json({ success: false, message: 'Not authorized to view this document' });
+        }
+
+        const document = (application.documents || [])[index];
+        if (!document) {
+            return res.status(404).json({ success: false, message: 'Document not found' });
+        }
+
+        const size = document.originalSize;
+        const range = parseRange(req.headers.range, size);
+        if (range === false) {
+            res.setHeader('Content-Range', `bytes */${size}`);
+            return res.status(416).json({ success: false, message: 'Requested range not satisfiable' });
+        }
+
+        const inline = req.query.download !== '1' && INLINE_MIME_TYPES.has(document.mimeType);
+
+        logDocumentAccess(req, {
+            application: application._id,
+            post: application.post._id,
+            documentKey: document.r2Key,
+            action: inline ? 'inline' : 'download',
+            range: req.headers.range || null
+        });
+
+        const source = await getDecompressedObjectStream(document.r2Key);
+
+        res.setHeader('Content-Type', document.mimeType || 'application/octet-stream');
+        res.setHeader('Content-Disposition', contentDisposition(inline ? 'inline' : 'attachment', safeEntryName(document.originalName)));
+        res.setHeader('Accept-Ranges', 'bytes');
+        res.setHeader('Cache-Control', 'private, no-store');
+        res.setHeader('X-Content-Type-Options', 'nosniff');
+
+        const onStreamError = (err) => {
+            if (err) {
+                console.error('Document stream error:', err.message);
+                if (!res.headersSent) res.status(502).end();
+            }
+        };
+
+        if (range) {
+            res.status(206);
+            res.setHeader('Content-Range', `bytes ${range.start}-${range.end}/${size}`);
+            res.setHeader('Content-Length', range.end - range.start + 1);
+            pipeline(source, createByteRangeStream(range.start, range.end), res, onStreamError);
+        } else {
+            res.setHeader('Content-Length', size);
+            pipeline(source, res, onStreamError);
+        }
+    } catch (error) {
+        console.error('Stream application document error:', error);
+        if (!res.headersSent) {
+            return res.status(500).json({ success: false, message: 'Failed to load document' });
+        }
+        res.destroy(error);
+    }
+};
+
+module.exports = {
+    streamApplicationDocument,
+    downloadApplicationDocumentsZip,
+    downloadPostDocumentsZip
+};
@@ -0,0 +1,178 @@
+const { once } = require('events');
+const mongoose = require('mongoose');
+const ExcelJS = require('exceljs');
+const Post = require('../../models/Post');
+const InterestedApplication = require('../../models/InterestedApplication');
+const { POST_ACCESS_FIELDS, isPostOwner } = require('../../utils/postAccess');
+
+const EXPORT_COLUMNS = [
+    { header: 'Full Name', key: 'fullName', width: 28 },
+    { header: 'Email', key: 'email', width: 32 },
+    { header: 'Phone', key: 'phone', width: 18 },
+    { header: 'Location', key: 'location', width: 24 },
+    { header: 'Cover Letter', key: 'coverLetter', width: 60 },
+    { header: 'Status', key: 'status', width: 14 },
+    { header: 'Submitted', key: 'submittedAt', width: 22 },
+    { header: 'Documents', key: 'documents', width: 40 },
+];
+
+// Mongo cursor batch size — the XLSX writer also checks backpressure once per batch
+const CURSOR_BATCH_SIZE = 500;
+
+const EXPORT_FIELDS = 'fullName email phone location coverLetter status createdAt documents.originalName';
+
+/**
+ * Flatten an application into the export columns
+ */
+const toExportRow = (application) => ({
+    fullName: application.fullName,
+    email: application.email,
+    phone: application.phone,
+    location: application.location || '',
+    coverLetter: application.coverLetter || '',
+    status: application.status,
+    submittedAt: application.createdAt ? application.createdAt.toISOString() : '',
+    documents: (application.documents || []).map(d => d.originalName).join('; '),
+});
+
+/**
+ * Quote a CSV cell. Values starting with formula characters are prefixed
+ * so spreadsheet apps don't execute applicant-controlled input.
+ */
+const toCsvCell = (value) => {
+    let text = value === null || value === undefined ? '' : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) {
+        text = `'${text}`;
+    }
+    return `"${text.replace(/"/g, '""')}"`;
+};
+
+/**
+ * A promise that rejects when the client goes away before the response finished.
+ * 'drain' never fires on a closed socket, so every wait on the response races this.
+ */
+const watchDisconnect = (res) => {
+    const disconnected = new Promise((resolve, reject) => {
+        res.once('close', () => {
+            if (!res.writableFinished) {
+                const error = new Error('Client disconnected');
+                error.code = 'CLIENT_DISCONNECTED';
+                reject(error);
+            }
+        });
+    });
+    disconnected.catch(() => {}); // only observed through Promise.race
+    return disconnected;
+};
+
+// Wait for the socket to drain when its buffer is full
+const waitForDrain = async (res, disconnected) => {
+    if (res.destroyed) await disconnected;
+    if (res.writableNeedDrain) {
+        await Promise.race([once(res, 'drain'), disconnected]);
+    }
+};
+
+const streamCsv = async (res, cursor, disconnected) => {
+    // BOM so Excel opens the UTF-8 file with the right encoding
+    res.write('\uFEFF' + EXPORT_COLUMNS.map(c => toCsvCell(c.header)).join(',') + '\r\n');
+    for await (const application of cursor) {
+        await waitForDrain(res, disconnected);
+        const row = toExportRow(application);
+        res.write(EXPORT_COLUMNS.map(c => toCsvCell(row[c.key])).join(',') + '\r\n');
+    }
+    res.end();
+};
+
+/**
+ * ExcelJS writes committed rows into the sheet's zip entry without checking the return value,
+ * so with a slow deflate or client they pile up there. The entry stream still tracks needDrain
+ * and emits 'drain' once the archive (and through it res) has taken everything — wait for that.
+ */
+const waitForSheetEntry = async (worksheet, disconnected) => {
+    // Not piped until the archive reaches the sheet entry; StreamBuf holds rows meanwhile
+    const entry = worksheet.stream.pipes[0];
+    if (entry && entry._writableState.needDrain) {
+        await Promise.race([once(entry, 'drain'), disconnected]);
+    }
+};
+
+const streamXlsx = async (res, cursor, disconnected) => {
+    const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false, useSharedStrings: false });
+    const worksheet = workbook.addWorksheet('Applications');
+    worksheet.columns = EXPORT_COLUMNS;
+
+    let rows = 0;
+    for await (const application of cursor) {
+        worksheet.addRow(toExportRow(application)).commit();
+
+        if (++rows % CURSOR_BATCH_SIZE === 0) {
+            await waitForSheetEntry(worksheet, disconnected);
+            await waitForDrain(res, disconnected);
+        }
+    }
+
+    worksheet.commit();
+    await Promise.race([workbook.commit(), disconnected]);
+};
+
+/**
+ * @desc    Export every interested application for a post as CSV or XLSX
+ * @route   GET /api/admin/posts/:id/interested-applications/export?format=csv|xlsx
+ * @access  Private (admin who owns the post)
+ */
+const exportInterestedApplications = async (req, res) => {
+    const format = (req.query.format || 'csv').toLowerCase();
+    if (!['csv', 'xlsx'].includes(format)) {
+        return res.status(400).json({ success: false, message: 'Format must be csv or xlsx' });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        return res.status(404).json({ success: false, message: 'Post not found' });
+    }
+
+    let cursor;
+    const disconnected = watchDisconnect(res);
+    try {
+        const post = await Post.findById(req.params.id).select(POST_ACCESS_FIELDS).lean();
+        if (!post) {
+            return res.status(404).json({ success: false, message: 'Post not found' });
+        }
+
+        if (!isPostOwner(post, req.admin)) {
+            return res.status(403).json({ success: false, message: 'Not authorized to export applications for this post' });
+        }
+
+        // Stream straight from Mongo — never hold the full result set in memory
+        cursor = InterestedApplication.find({ post: post._id })
+            .select(EXPORT_FIELDS)
+            .sort({ createdAt: 1 })
+            .lean()
+            .cursor({ batchSize: CURSOR_BATCH_SIZE });
+
+        const filename = `applications-${post._id}-${new Date().toISOString().slice(0, 10)}.${format}`;
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.setHeader('Cache-Control', 'no-store');
+
+        if (format === 'csv') {
+            res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+            await streamCsv(res, cursor, disconnected);
+        } else {
+            res.setHeader('Content-Type', 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet');
+            await streamXlsx(res, cursor, disconnected);
+        }
+    } catch (error) {
+        if (error.code !== 'CLIENT_DISCONNECTED') {
+            console.error('Export interested applications error:', error);
+        }
+        if (cursor) await cursor.close().catch(() => {});
+
+        if (!res.headersSent) {
+            return res.status(500).json({ success: false, message: 'Failed to export applications' });
+        }
+        // Mid-stream failure: abort so the client doesn't keep a truncated file
+        res.destroy(error);
+    }
+};
+
+module.exports = { exportInterestedApplications };
@@ -0,0 +1,274 @@
+const mongoose = require('mongoose');
+const InterestedApplication = require('../../models/InterestedApplication');
+const { POST_ACCESS_FIELDS, isPostOwner } = require('../../utils/postAccess');
+
+const MAX_NOTES_PER_APPLICATION = 500;
+const MAX_SCORECARD_CRITERIA = 10;
+
+// Input sanitization helper
+const sanitizeInput = (input) => {
+    if (typeof input !== 'string') return input;
+    return input.trim().replace(/[<>]/g, '');
+};
+
+const isValidScore = (value) => Number.isInteger(value) && value >= 1 && value <= 5;
+
+// Reviewers write concurrently — every change below is one conditional update, never load + save
+const REVIEW_FIELDS = '+reviewNotes +ratings';
+
+/**
+ * Load an application with its reviewer fields and check the admin may see its post.
+ * Sends the error response itself and returns null when access is denied.
+ */
+const loadReviewableApplication = async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        res.status(404).json({ success: false, message: 'Application not found' });
+        return null;
+    }
+
+    const application = await InterestedApplication.findById(req.params.id)
+        .select('+reviewNotes +ratings')
+        .populate({ path: 'post', select: POST_ACCESS_FIELDS });
+
+    if (!application || !application.post) {
+        res.status(404).json({ success: false, message: 'Application not found' });
+        return null;
+    }
+
+    if (!isPostOwner(application.post, req.admin)) {
+        res.status(403).json({ success: false, message: 'Not authorized to review this application' });
+        return null;
+    }
+
+    return application;
+};
+
+/**
+ * Build the reviewer payload: notes nested into threads, ratings and the average
+ */
+const toReviewView = async (application) => {
+    await application.populate([
+        { path: 'reviewNotes.author', select: 'username display_name avatar_url' },
+        { path: 'ratings.reviewer', select: 'username display_name avatar_url' }
+    ]);
+
+    const notes = application.reviewNotes.map(note => ({ ...note.toObject(), replies: [] }));
+    const byId = new Map(notes.map(note => [note._id.toString(), note]));
+    const threads = [];
+    notes.forEach((note) => {
+        const parent = note.parent && byId.get(note.parent.toString());
+        if (parent) parent.replies.push(note);
+        else threads.push(note);
+    });
+
+    return {
+        notes: threads,
+        ratings: application.ratings.map(rating => rating.toObject()),
+        averageRating: application.averageRating,
+        ratingsCount: application.ratingsCount
+    };
+};
+
+/**
+ * @desc    Get reviewer notes and ratings for an application
+ * @route   GET /api/admin/posts/interested-applications/:id/notes
+ * @access  Private (admin who owns the post)
+ */
+const getReviewNotes = async (req, res) => {
+    try {
+        const application = await loadReviewableApplication(req, res);
+        if (!application) return;
+
+        res.json({ success: true, data: await toReviewView(application) });
+    } catch (error) {
+        console.error('Get review notes error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch review notes' });
+    }
+};
+
+/**
+ * @desc    Add a reviewer note (optionally as a reply to another note)
+ * @route   POST /api/admin/posts/interested-applications/:id/notes
+ * @access  Private (admin who owns the post)
+ */
+const addReviewNote = async (req, res) => {
+    try {
+        const body = sanitizeInput(req.body.body || '');
+        if (!body) {
+            return res.status(400).json({ success: false, message: 'Note body is required' });
+        }
+        if (body.length > 2000) {
+            return res.status(400).json({ success: false, message: 'Note cannot exceed 2000 characters' });
+        }
+
+        const application = await loadReviewableApplication(req, res);
+        if (!application) return;
+
+        if (application.reviewNotes.length >= MAX_NOTES_PER_APPLICATION) {
+            return res.status(400).json({ success: false, message: 'Note limit reached for this application' });
+        }
+
+        const filter = {
+            _id: application._id,
+            // Re-checked on write so concurrent notes can't push past the limit
+            [`reviewNotes.${MAX_NOTES_PER_APPLICATION - 1}`]: { $exists: false }
+        };
+        let parent = null;
+        if (req.body.parentId) {
+            const parentNote = application.reviewNotes.id(req.body.parentId);
+            if (!parentNote) {
+                return res.status(404).json({ success: false, message: 'Parent note not found' });
+            }
+            // Keep threads one level deep — replies to replies attach to the thread root
+            parent = parentNote.parent || parentNote._id;
+            filter['reviewNotes._id'] = parent;
+        }
+
+        const updated = await InterestedApplication.findOneAndUpdate(
+            filter,
+            {
+                $push: {
+                    reviewNotes: {
+                        author: req.admin._id,
+                        authorModel: req.admin.isUserAdmin ? 'User' : 'Admin',
+                        body,
+                        parent
+                    }
+                }
+            },
+            { new: true, runValidators: true }
+        ).select(REVIEW_FIELDS);
+
+        if (!updated) {
+            return res.status(409).json({ success: false, message: 'Notes were changed by someone else, please refresh' });
+        }
+
+        res.status(201).json({ success: true, data: await toReviewView(updated) });
+    } catch (error) {
+        console.error('Add review note error:', error);
+        res.status(500).json({ success: false, message: 'Failed to add review note' });
+    }
+};
+
+/**
+ * @desc    Delete one of your own reviewer notes (and its replies)
+ * @route   DELETE /api/admin/posts/interested-applications/:id/notes/:noteId
+ * @access  Private (note author)
+ */
+const deleteReviewNote = async (req, res) => {
+    try {
+        const application = await loadReviewableApplication(req, res);
+        if (!application) return;
+
+        const note = application.reviewNotes.id(req.params.noteId);
+        if (!note) {
+            return res.status(404).json({ success: false, message: 'Note not found' });
+        }
+        if (note.author.toString() !== req.admin._id.toString()) {
+            return res.status(403).json({ success: false, message: 'You can only delete your own notes' });
+        }
+
+        // Conditional on the note still being there, so a concurrent delete gets a 404 instead of a no-op
+        const updated = await InterestedApplication.findOneAndUpdate(
+            { _id: application._id, reviewNotes: { $elemMatch: { _id: note._id, author: req.admin._id } } },
+            { $pull: { reviewNotes: { $or: [{ _id: note._id }, { parent: note._id }] } } },
+            { new: true }
+        ).select(REVIEW_FIELDS);
+
+        if (!updated) {
+            return res.status(404).json({ success: false, message: 'Note not found' });
+        }
+
+        res.json({ success: true, data: await toReviewView(updated) });
+    } catch (error) {
+        console.error('Delete review note error:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete review note' });
+    }
+};
+
+/**
+ * Update the admin's existing rating in place, or add it if they have none yet.
+ * Each step is conditional on whether the rating exists, so two first ratings from
+ * the same admin can't both push; the loser updates the winner's entry instead.
+ */
+const saveRating = async (applicationId, admin, score, scorecard) => {
+    const updateExisting = () => InterestedApplication.updateOne(
+        { _id: applicationId, 'ratings.reviewer': admin._id },
+        { $set: { 'ratings.$.score': score, 'ratings.$.scorecard': scorecard, 'ratings.$.updatedAt': new Date() } },
+        { runValidators: true }
+    );
+
+    const { matchedCount } = await updateExisting();
+    if (matchedCount > 0) return;
+
+    const { matchedCount: pushed } = await InterestedApplication.updateOne(
+        { _id: applicationId, 'ratings.reviewer': { $ne: admin._id } },
+        {
+            $push: {
+                ratings: {
+                    reviewer: admin._id,
+                    reviewerModel: admin.isUserAdmin ? 'User' : 'Admin',
+                    score,
+                    scorecard
+                }
+            }
+        },
+        { runValidators: true }
+    );
+    if (pushed === 0) await updateExisting();
+};
+
+/**
+ * @desc    Set the logged-in admin's rating (1-5) and optional scorecard
+ * @route   PUT /api/admin/posts/interested-applications/:id/notes/rating
+ * @access  Private (admin who owns the post)
+ */
+const rateApplication = async (req, res) => {
+    try {
+        const score = Number(req.body.score);
+        if (!isValidScore(score)) {
+            return res.status(400).json({ success: false, message: 'Score must be a whole number from 1 to 5' });
+        }
+
+        const rawScorecard = req.body.scorecard || [];
+        if (!Array.isArray(rawScorecard) || rawScorecard.length > MAX_SCORECARD_CRITERIA) {
+            return res.status(400).json({ success: false, message: `Scorecard must be a list of up to ${MAX_SCORECARD_CRITERIA} criteria` });
+        }
+        const scorecard = rawScorecard.map(item => ({
+            criterion: sanitizeInput(String(item?.criterion || '')).slice(0, 60),
+            score: Number(item?.score)
+        }));
+        if (scorecard.some(item => !item.criterion || !isValidScore(item.score))) {
+            return res.status(400).json({ success: false, message: 'Each scorecard criterion needs a name and a 1-5 score' });
+        }
+
+        const application = await loadReviewableApplication(req, res);
+        if (!application) return;
+
+        await saveRating(application._id, req.admin, score, scorecard);
+
+        // Recompute from the stored ratings rather than this request's copy, so concurrent raters can't overwrite each other's average
+        const updated = await InterestedApplication.findOneAndUpdate(
+            { _id: application._id },
+            [{
+                $set: {
+                    ratingsCount: { $size: '$ratings' },
+                    averageRating: { $round: [{ $avg: '$ratings.score' }, 2] }
+                }
+            }],
+            { new: true }
+        ).select(REVIEW_FIELDS);
+
+        res.json({ success: true, data: await toReviewView(updated) });
+    } catch (error) {
+        console.error('Rate application error:', error);
+        res.status(500).json({ success: false, message: 'Failed to save rating' });
+    }
+};
+
+module.exports = {
+    getReviewNotes,
+    addReviewNote,
+    deleteReviewNote,
+    rateApplication
+};
@@ -0,0 +1,440 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { PutObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+const Company = require('../../models/Company');
+const CompanyFollow = require('../../models/CompanyFollow');
+const Post = require('../../models/Post');
+const User = require('../../models/User');
+const Admin = require('../models/Admin');
+const { s3Client, R2_BUCKET, signR2ObjectKey } = require('../../config/r2');
+const { processImage } = require('../../utils/imageProcessor');
+const { COMPANY_ROLES, canManageCompany, slugify } = require('../../utils/companyAccess');
+
+const MAX_LOCATIONS = 20;
+const WEBSITE_PATTERN = /^https?:\/\/[^\s<>]+$/i;
+
+// Input sanitization helper
+const sanitizeInput = (input) => {
+    if (typeof input !== 'string') return input;
+    return input.trim().replace(/[<>]/g, '');
+};
+
+/**
+ * Parse company profile fields from a JSON or multipart body.
+ * Only fields that were sent are returned.
+ * @returns {{ fields?: object, error?: string }}
+ */
+const parseCompanyFields = (body) => {
+    const fields = {};
+
+    if (body.name !== undefined) {
+        fields.name = sanitizeInput(String(body.name)).slice(0, 120);
+        if (!fields.name) return { error: 'Company name is required' };
+    }
+    if (body.description !== undefined) {
+        fields.description = sanitizeInput(String(body.description)).slice(0, 5000);
+    }
+    if (body.website !== undefined) {
+        fields.website = sanitizeInput(String(body.website));
+        if (fields.website && !WEBSITE_PATTERN.test(fields.website)) {
+            return { error: 'Website must be an http(s) URL' };
+        }
+    }
+    if (body.locations !== undefined) {
+        let locations = body.locations;
+        if (typeof locations === 'string') {
+            try {
+                locations = JSON.parse(locations);
+            } catch (_) {
+                return { error: 'Locations must be valid JSON' };
+            }
+        }
+        if (!Array.isArray(locations) || locations.length > MAX_LOCATIONS) {
+            return { error: `Locations must be a list of at most ${MAX_LOCATIONS} entries` };
+        }
+        fields.locations = locations.map(location => ({
+            city: sanitizeInput(location?.city || '') || null,
+            state: sanitizeInput(location?.state || '') || null,
+            country: sanitizeInput(location?.country || '') || null,
+        }));
+    }
+
+    return { fields };
+};
+
+/**
+ * Process a logo image and store it in R2
+ * @returns {Promise<string>} R2 object key
+ */
+const uploadLogo = async (file) => {
+    const processed = await processImage(file.buffer, file.mimetype);
+    const key = `companies/${Date.now()}-${crypto.randomBytes(8).toString('hex')}${processed.ext}`;
+
+    await s3Client.send(new PutObjectCommand({
+        Bucket: R2_BUCKET,
+        Key: key,
+        Body: processed.buffer,
+        ContentType: processed.mimetype,
+    }));
+
+    return key;
+};
+
+const deleteLogo = async (key) => {
+    if (!key) return;
+    try {
+        await s3Client.send(new DeleteObjectCommand({ Bucket: R2_BUCKET, Key: key }));
+    } catch (err) {
+        console.error('[R2] Delete error:', err.message);
+    }
+};
+
+/**
+ * Pick a slug that no other company uses, suffixing -2, -3, ... on collision
+ */
+const uniqueSlug = async (name, excludeId = null) => {
+    const base = slugify(name);
+    const taken = await Company.find({
+        slug: new RegExp(`^${base}(-\\d+)?$`),
+        ...(excludeId && { _id: { $ne: excludeId } })
+    }).distinct('slug');
+
+    if (!taken.includes(base)) return base;
+    let suffix = 2;
+    while (taken.includes(`${base}-${suffix}`)) suffix++;
+    return `${base}-${suffix}`;
+};
+
+/**
+ * Company response with a signed logo URL and populated members
+ */
+const toCompanyView = async (company) => {
+    await company.populate('members.admin', 'username display_name avatar_url email');
+    const obj = company.toObject();
+    obj.logo = obj.logo ? await signR2ObjectKey(obj.logo) : null;
+    return obj;
+};
+
+/**
+ * Load a company the admin belongs to. Sends the error response itself and
+ * returns null when it doesn't exist or the admin isn't a member.
+ */
+const loadMemberCompany = async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        res.status(404).json({ success: false, message: 'Company not found' });
+        return null;
+    }
+
+    const company = await Company.findById(req.params.id);
+    const member = company?.getMember(req.admin);
+    if (!member) {
+        res.status(404).json({ success: false, message: 'Company not found' });
+        return null;
+    }
+
+    return { company, member };
+};
+
+/**
+ * Find an admin account (Admin collection first, then admin Users) by email
+ */
+const findAdminByEmail = async (email) => {
+    const admin = await Admin.findOne({ email }).select('_id');
+    if (admin) return { id: admin._id, model: 'Admin' };
+
+    const user = await User.findOne({ email, isAdmin: true }).select('_id');
+    if (user) return { id: user._id, model: 'User' };
+
+    return null;
+};
+
+/**
+ * @desc    List companies the logged-in admin is a member of
+ * @route   GET /api/admin/companies
+ * @access  Private (admin)
+ */
+const getMyCompanies = async (req, res) => {
+    try {
+        const companies = await Company.find({ 'members.admin': req.admin._id })
+            .select('-members')
+            .sort({ name: 1 })
+            .lean();
+
+        const data = await Promise.all(companies.map(async (company) => ({
+            ...company,
+            logo: company.logo ? await signR2ObjectKey(company.logo) : null
+        })));
+
+        res.json({ success: true, data });
+    } catch (error) {
+        console.error('Get companies error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch companies' });
+    }
+};
+
+/**
+ * @desc    Create a company; the creator becomes its owner
+ * @route   POST /api/admin/companies
+ * @access  Private (admin)
+ */
+const createCompany = async (req, res) => {
+    try {
+        const { fields, error } = parseCompanyFields(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+        if (!fields.name) {
+            return res.status(400).json({ success: false, message: 'Company name is required' });
+        }
+        if (req.file && !req.file.mimetype.startsWith('image/')) {
+            return res.status(400).json({ success: false, message: 'Logo must be an image' });
+        }
+
+        const adminModel = req.admin.isUserAdmin ? 'User' : 'Admin';
+        const logo = req.file ? await uploadLogo(req.file) : null;
+
+        const company = await Company.create({
+            ...fields,
+            slug: await uniqueSlug(fields.name),
+            logo,
+            members: [{ admin: req.admin._id, adminModel, role: 'owner' }],
+            createdBy: req.admin._id,
+            createdByModel: adminModel
+        });
+
+        res.status(201).json({ success: true, data: await toCompanyView(company) });
+    } catch (error) {
+        console.error('Create company error:', error);
+        if (error?.code === 11000) {
+            return res.status(409).json({ success: false, message: 'A company with that name already exists, please try again' });
+        }
+        res.status(500).json({ success: false, message: 'Failed to create company' });
+    }
+};
+
+/**
+ * @desc    Get a company with its members and post count
+ * @route   GET /api/admin/companies/:id
+ * @access  Private (company member)
+ */
+const getCompany = async (req, res) => {
+    try {
+        const loaded = await loadMemberCompany(req, res);
+        if (!loaded) return;
+
+        const postsCount = await Post.countDocuments({ company: loaded.company._id });
+
+        res.json({
+            success: true,
+            data: { ...(await toCompanyView(loaded.company)), postsCount, myRole: loaded.member.role }
+        });
+    } catch (error) {
+        console.error('Get company error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch company' });
+    }
+};
+
+/**
+ * @desc    Update a company profile (and optionally replace its logo)
+ * @route   PUT /api/admin/companies/:id
+ * @access  Private (company owner/manager)
+ */
+const updateCompany = async (req, res) => {
+    try {
+        const loaded = await loadMemberCompany(req, res);
+        if (!loaded) return;
+        const { company, member } = loaded;
+
+        if (!canManageCompany(member)) {
+            return res.status(403).json({ success: false, message: 'Only owners and managers can edit the company' });
+        }
+
+        const { fields, error } = parseCompanyFields(req.body);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+        if (req.file && !req.file.mimetype.startsWith('image/')) {
+            return res.status(400).json({ success: false, message: 'Logo must be an image' });
+        }
+
+        if (fields.name && fields.name !== company.name) {
+            fields.slug = await uniqueSlug(fields.name, company._id);
+        }
+        company.set(fields);
+
+        const previousLogo = company.logo;
+        if (req.file) {
+            company.logo = await uploadLogo(req.file);
+        } else if (req.body.removeLogo === 'true' || req.body.removeLogo === true) {
+            company.logo = null;
+        }
+
+        await company.save();
+        if (previousLogo && previousLogo !== company.logo) {
+            await deleteLogo(previousLogo);
+        }
+
+        res.json({ success: true, data: await toCompanyView(company) });
+    } catch (error) {
+        console.error('Update company error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update company' });
+    }
+};
+
+/**
+ * @desc    Delete a company. Its posts stay with their authors, unlinked.
+ * @route   DELETE /api/admin/companies/:id
+ * @access  Private (company owner)
+ */
+const deleteCompany = async (req, res) => {
+    try {
+        const loaded = await loadMemberCompany(req, res);
+        if (!loaded) return;
+        const { company, member } = loaded;
+
+        if (member.role !== 'owner') {
+            return res.status(403).json({ success: false, message: 'Only owners can delete the company' });
+        }
+
+        await Post.updateMany({ company: company._id }, { $set: { company: null } });
+        await CompanyFollow.deleteMany({ company: company._id });
+        await company.deleteOne();
+        await deleteLogo(company.logo);
+
+        res.json({ success: true, message: 'Company deleted' });
+    } catch (error) {
+        console.error('Delete company error:', error);
+        res.status(500).json({ success: false, message: 'Failed to delete company' });
+    }
+};
+
+/**
+ * @desc    Add an admin to a company by email
+ * @route   POST /api/admin/companies/:id/members
+ * @access  Private (company owner/manager)
+ */
+const addCompanyMember = async (req, res) => {
+    try {
+        const loaded = await loadMemberCompany(req, res);
+        if (!loaded) return;
+        const { company, member } = loaded;
+
+        const role = req.body.role || 'recruiter';
+        if (!COMPANY_ROLES.includes(role)) {
+            return res.status(400).json({ success: false, message: `Role must be one of: ${COMPANY_ROLES.join(', ')}` });
+        }
+        if (!canManageCompany(member) || (role === 'owner' && member.role !== 'owner')) {
+            return res.status(403).json({ success: false, message: 'Not allowed to add members with this role' });
+        }
+
+        const email = typeof req.body.email === 'string' ? req.body.email.trim().toLowerCase() : '';
+        const target = email ? await findAdminByEmail(email) : null;
+        if (!target) {
+            return res.status(404).json({ success: false, message: 'No admin account found with that email' });
+        }
+
+        // Conditional push so concurrent adds can't duplicate a member
+        const updated = await Company.findOneAndUpdate(
+            { _id: company._id, 'members.admin': { $ne: target.id } },
+            { $push: { members: { admin: target.id, adminModel: target.model, role } } },
+            { new: true }
+        );
+        if (!updated) {
+            return res.status(409).json({ success: false, message: 'That admin is already a member' });
+        }
+
+        res.status(201).json({ success: true, data: await toCompanyView(updated) });
+    } catch (error) {
+        console.error('Add company member error:', error);
+        res.status(500).json({ success: false, message: 'Failed to add member' });
+    }
+};
+
+/**
+ * @desc    Change a member's role
+ * @route   PUT /api/admin/companies/:id/members/:memberId
+ * @access  Private (company owner/manager)
+ */
+const updateCompanyMember = async (req, res) => {
+    try {
+        const loaded = await loadMemberCompany(req, res);
+        if (!loaded) return;
+        const { company, member } = loaded;
+
+        const target = company.members.id(req.params.memberId);
+        if (!target) {
+            return res.status(404).json({ success: false, message: 'Member not found' });
+        }
+
+        const { role } = req.body;
+        if (!COMPANY_ROLES.includes(role)) {
+            return res.status(400).json({ success: false, message: `Role must be one of: ${COMPANY_ROLES.join(', ')}` });
+        }
+
+        // Managers can't touch owners or create new ones
+        const involvesOwner = role === 'owner' || target.role === 'owner';
+        if (!canManageCompany(member) || (involvesOwner && member.role !== 'owner')) {
+            return res.status(403).json({ success: false, message: 'Not allowed to change this member' });
+        }
+
+        const owners = company.members.filter(m => m.role === 'owner');
+        if (target.role === 'owner' && role !== 'owner' && owners.length === 1) {
+            return res.status(400).json({ success: false, message: 'A company needs at least one owner' });
+        }
+
+        target.role = role;
+        await company.save();
+
+        res.json({ success: true, data: await toCompanyView(company) });
+    } catch (error) {
+        console.error('Update company member error:', error);
+        res.status(500).json({ success: false, message: 'Failed to update member' });
+    }
+};
+
+/**
+ * @desc    Remove a member (members may also remove themselves)
+ * @route   DELETE /api/admin/companies/:id/members/:memberId
+ * @access  Private (company owner/manager, or the member)
+ */
+const removeCompanyMember = async (req, res) => {
+    try {
+        const loaded = await loadMemberCompany(req, res);
+        if (!loaded) return;
+        const { company, member } = loaded;
+
+        const target = company.members.id(req.params.memberId);
+        if (!target) {
+            return res.status(404).json({ success: false, message: 'Member not found' });
+        }
+
+        const isSelf = target._id.equals(member._id);
+        const allowed = isSelf || (canManageCompany(member) && (target.role !== 'owner' || member.role === 'owner'));
+        if (!allowed) {
+            return res.status(403).json({ success: false, message: 'Not allowed to remove this member' });
+        }
+
+        if (target.role === 'owner' && company.members.filter(m => m.role === 'owner').length === 1) {
+            return res.status(400).json({ success: false, message: 'A company needs at least one owner' });
+        }
+
+        target.deleteOne();
+        await company.save();
+
+        res.json({ success: true, data: await toCompanyView(company) });
+    } catch (error) {
+        console.error('Remove company member error:', error);
+        res.status(500).json({ success: false, message: 'Failed to remove member' });
+    }
+};
+
+module.exports = {
+    getMyCompanies,
+    createCompany,
+    getCompany,
+    updateCompany,
+    deleteCompany,
+    addCompanyMember,
+    updateCompanyMember,
+    removeCompanyMember
+};
@@ -0,0 +1,254 @@
+const mongoose = require('mongoose');
+const InterestedApplication = require('../../models/InterestedApplication');
+const Interview = require('../../models/Interview');
+const { POST_ACCESS_FIELDS, isPostOwner } = require('../../utils/postAccess');
+const { WITHDRAWN_STAGE } = require('../../utils/hiringPipeline');
+const { generateEventUid } = require('../../utils/icsCalendar');
+const { parseSlots, parseMeetingUrl, sendInterviewIcs, notifyInterviewUpdate } = require('../../utils/interviews');
+
+// Input sanitization helper
+const sanitizeInput = (input) => {
+    if (typeof input !== 'string') return input;
+    return input.trim().replace(/[<>]/g, '');
+};
+
+const optionalText = (value, max) => (typeof value === 'string' ? sanitizeInput(value).slice(0, max) : undefined);
+
+/**
+ * Load an application and check the admin may manage its post.
+ * Sends the error response itself and returns null when access is denied.
+ */
+const loadManagedApplication = async (req, res) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+        res.status(404).json({ success: false, message: 'Application not found' });
+        return null;
+    }
+
+    const application = await InterestedApplication.findById(req.params.id)
+        .select('post applicant status')
+        .populate({ path: 'post', select: POST_ACCESS_FIELDS });
+
+    if (!application || !application.post) {
+        res.status(404).json({ success: false, message: 'Application not found' });
+        return null;
+    }
+
+    if (!isPostOwner(application.post, req.admin)) {
+        res.status(403).json({ success: false, message: 'Not authorized to manage this application' });
+        return null;
+    }
+
+    return application;
+};
+
+/**
+ * Load one interview of an already-authorized application
+ */
+const loadInterview = async (req, res, application) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.interviewId)) {
+        res.status(404).json({ success: false, message: 'Interview not found' });
+        return null;
+    }
+
+    const interview = await Interview.findOne({ _id: req.params.interviewId, application: application._id });
+    if (!interview) {
+        res.status(404).json({ success: false, message: 'Interview not found' });
+        return null;
+    }
+
+    return interview;
+};
+
+/**
+ * @desc    List interviews of an application
+ * @route   GET /api/admin/posts/interested-applications/:id/interviews
+ * @access  Private (admin)
+ */
+const getInterviews = async (req, res) => {
+    try {
+        const application = await loadManagedApplication(req, res);
+        if (!application) return;
+
+        const interviews = await Interview.find({ application: application._id })
+            .sort({ createdAt: -1 })
+            .lean();
+
+        res.json({ success: true, data: interviews });
+    } catch (error) {
+        console.error('Get interviews error:', error);
+        res.status(500).json({ success: false, message: 'Failed to fetch interviews' });
+    }
+};
+
+/**
+ * @desc    Propose interview time slots to the applicant
+ * @route   POST /api/admin/posts/interested-applications/:id/interviews
+ * @access  Private (admin)
+ */
+const proposeInterview = async (req, res) => {
+    try {
+        const application = await loadManagedApplication(req, res);
+        if (!application) return;
+
+        if (application.status === WITHDRAWN_STAGE) {
+            return res.status(409).json({ success: false, message: 'The applicant has withdrawn this application' });
+        }
+
+        const { slots, error } = parseSlots(req.body.slots);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const { meetingUrl, error: meetingUrlError } = parseMeetingUrl(req.body.meetingUrl);
+        if (meetingUrlError) {
+            return res.status(400).json({ success: false, message: meetingUrlError });
+        }
+
+        const interview = await Interview.create({
+            application: application._id,
+            post: application.post._id,
+            applicant: application.applicant,
+            organizer: req.admin._id,
+            organizerModel: req.admin.isUserAdmin ? 'User' : 'Admin',
+            title: optionalText(req.body.title, 200) || undefined,
+            location: optionalText(req.body.location, 300),
+            meetingUrl,
+            notes: optionalText(req.body.notes, 2000),
+            slots,
+            uid: generateEventUid(),
+        });
+
+        res.status(201).json({ success: true, message: 'Interview proposed', data: interview });
+
+        notifyInterviewUpdate(req.app.get('io'), interview, 'proposed', optionalText(req.body.message, 1000));
+    } catch (error) {
+        console.error('Propose interview error:', error);
+        res.status(500).json({ success: false, message: 'Failed to propose interview' });
+    }
+};
+
+/**
+ * @desc    Reschedule an interview by proposing new slots. The applicant picks again;
+ *          the calendar event keeps its UID, so their calendar updates in place.
+ * @route   PUT /api/admin/posts/interested-applications/:id/interviews/:interviewId
+ * @access  Private (admin)
+ */
+const rescheduleInterview = async (req, res) => {
+    try {
+        const application = await loadManagedApplication(req, res);
+        if (!application) return;
+
+        if (application.status === WITHDRAWN_STAGE) {
+            return res.status(409).json({ success: false, message: 'The applicant has withdrawn this application' });
+        }
+
+        const interview = await loadInterview(req, res, application);
+        if (!interview) return;
+
+        const { slots, error } = parseSlots(req.body.slots);
+        if (error) {
+            return res.status(400).json({ success: false, message: error });
+        }
+
+        const { meetingUrl, error: meetingUrlError } = parseMeetingUrl(req.body.meetingUrl);
+        if (meetingUrlError) {
+            return res.status(400).json({ success: false, message: meetingUrlError });
+        }
+
+        // The booked time (if any) stays on the calendar until the applicant picks a new slot,
+        // so a cancel in between can still retract it
+        const updates = { slots, status: 'proposed', selectedSlot: null };
+        const location = optionalText(req.body.location, 300);
+        const notes = optionalText(req.body.notes, 2000);
+        if (location !== undefined) updates.location = location;
+        if (meetingUrl !== undefined) updates.meetingUrl = meetingUrl;
+        if (notes !== undefined) updates.notes = notes;
+
+        const updated = await Interview.findOneAndUpdate(
+            { _id: interview._id, status: { $ne: 'cancelled' } },
+            { $set: updates },
+            { new: true, runValidators: true }
+        );
+
+        if (!updated) {
+            return res.status(409).json({ success: false, message: 'Cancelled interviews cannot be rescheduled' });
+        }
+
+        res.json({ success: true, message: 'Interview rescheduled', data: updated });
+
+        notifyInterviewUpdate(req.app.get('io'), updated, 'rescheduled', optionalText(req.body.message, 1000));
+    } catch (error) {
+        console.error('Reschedule interview error:', error);
+        res.status(500).json({ success: false, message: 'Failed to reschedule interview' });
+    }
+};
+
+/**
+ * @desc    Cancel an interview
+ * @route   DELETE /api/admin/posts/interested-applications/:id/interviews/:interviewId
+ * @access  Private (admin)
+ */
+const cancelInterview = async (req, res) => {
+    try {
+        const application = await loadManagedApplication(req, res);
+        if (!application) return;
+
+        const interview = await loadInterview(req, res, application);
+        if (!interview) return;
+
+        const reason = optionalText(req.body?.reason, 1000) || '';
+
+        // Bump SEQUENCE so calendar clients accept the CANCEL over the earlier REQUEST
+        const updated = await Interview.findOneAndUpdate(
+            { _id: interview._id, status: { $ne: 'cancelled' } },
+            {
+                $set: { status: 'cancelled', cancelledAt: new Date(), cancelReason: reason },
+                $inc: { sequence: 1 }
+            },
+            { new: true }
+        );
+
+        if (!updated) {
+            return res.status(409).json({ success: false, message: 'Interview is already cancelled' });
+        }
+
+        res.json({ success: true, message: 'Interview cancelled', data: updated });
+
+        notifyInterviewUpdate(req.app.get('io'), updated, 'cancelled', reason);
+    } catch (error) {
+        console.error('Cancel interview error:', error);
+        res.status(500).json({ success: false, message: 'Failed to cancel interview' });
+    }
+};
+
+/**
+ * @desc    Download the interview's .ics calendar file
+ * @route   GET /api/admin/posts/interested-applications/:id/interviews/:interviewId/ics
+ * @access  Private (admin)
+ */
+const downloadInterviewIcs = async (req, res) => {
+    try {
+        const application = await loadManagedApplication(req, res);
+        if (!application) return;
+
+        const interview = await loadInterview(req, res, application);
+        if (!interview) return;
+
+        if (!interview.startsAt) {
+            return res.status(409).json({ success: false, message: 'The applicant has not picked a time yet' });
+        }
+
+        await sendInterviewIcs(res, interview);
+    } catch (error) {
+        console.error('Download interview ics error:', error);
+        res.status(500).json({ success: false, message: 'Failed to build calendar file' });
+    }
+};
+
+module.exports = {
+    getInterviews,
+    proposeInterview,
+    rescheduleInterview,
+    cancelInterview,
+    downloadInterviewIcs
+};
@@ -1,5 +1,7 @@
 const jwt = require('jsonwebtoken');
 const Admin = require('../models/Admin');
+const Company = require('../../models/Company');
+const { protectSuperAdmin } = require('./superAdminMiddleware');
 
 /**
  * Middleware to protect admin routes
@@ -75,6 +77,10 @@ const protectAdmin = async (req, res, next) => {
                 });
             }
 
+            // Company memberships — isPostOwner grants access to the companies' posts
+            const companyIds = await Company.distinct('_id', { 'members.admin': admin._id });
+            admin.companyIds = companyIds.map(id => id.toString());
+
             // Attach admin to request
             req.admin = admin;
             next();
@@ -108,6 +114,23 @@ const protectAdmin = async (req, res, next) => {
     }
 };
 
+/**
+ * Accept either an admin or a super admin token, for views both need (e.g. moderation).
+ * The token is only peeked at to pick the guard; each guard verifies it fully.
+ * Sets req.admin or req.superAdmin.
+ */
+const protectAdminOrSuperAdmin = (req, res, next) => {
+    const token = (req.headers.authorization || '').startsWith('Bearer')
+        ? req.headers.authorization.split(' ')[1]
+        : null;
+    const decoded = token ? jwt.decode(token) : null;
+
+    if (decoded && decoded.isSuperAdmin) {
+        return protectSuperAdmin(req, res, next);
+    }
+    return protectAdmin(req, res, next);
+};
+
 /**
  * Middleware to restrict access to super admins only
  */
@@ -160,4 +183,4 @@ const adminRateLimit = (() => {
     };
 })();
 
-module.exports = { protectAdmin, superAdminOnly, adminRateLimit };
+module.exports = { protectAdmin, protectAdminOrSuperAdmin, superAdminOnly, adminRateLimit };
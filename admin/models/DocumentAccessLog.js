@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// Audit trail of every admin access to applicant documents
+const documentAccessLogSchema = mongoose.Schema({
+    admin: {
+        type: mongoose.Schema.Types.ObjectId,
+        refPath: 'adminModel',
+        required: true
+    },
+    adminModel: {
+        type: String,
+        enum: ['User', 'Admin'],
+        default: 'Admin'
+    },
+    application: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'InterestedApplication',
+        default: null
+    },
+    post: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Post',
+        default: null
+    },
+    // R2 key for single-document access; null for bulk ZIP downloads
+    documentKey: {
+        type: String,
+        default: null
+    },
+    action: {
+        type: String,
+        enum: ['inline', 'download', 'zip', 'zip_bulk'],
+        required: true
+    },
+    range: {
+        type: String,
+        default: null
+    },
+    ip: {
+        type: String,
+        default: null
+    },
+    userAgent: {
+        type: String,
+        default: null
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+documentAccessLogSchema.index({ application: 1, createdAt: -1 });
+documentAccessLogSchema.index({ admin: 1, createdAt: -1 });
+
+module.exports = mongoose.model('DocumentAccessLog', documentAccessLogSchema);
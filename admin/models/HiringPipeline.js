@@ -0,0 +1,58 @@
+const mongoose = require('mongoose');
+
+const pipelineStageSchema = new mongoose.Schema({
+    key: {
+        type: String,
+        required: true,
+        trim: true,
+        match: [/^[a-z][a-z0-9_]{1,29}$/, 'Stage key must be lowercase letters, digits or underscores']
+    },
+    label: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 50
+    },
+    // Stage keys an application may move to from this stage; empty = terminal
+    transitions: {
+        type: [String],
+        default: []
+    }
+}, { _id: false });
+
+const hiringPipelineSchema = mongoose.Schema({
+    // Admin who owns this pipeline — either a legacy Admin or an admin User
+    owner: {
+        type: mongoose.Schema.Types.ObjectId,
+        refPath: 'ownerModel',
+        required: true
+    },
+    ownerModel: {
+        type: String,
+        required: true,
+        enum: ['User', 'Admin'],
+        default: 'Admin'
+    },
+    // null = the owner's default pipeline; set = override for a single post
+    post: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Post',
+        default: null
+    },
+    stages: {
+        type: [pipelineStageSchema],
+        default: []
+    }
+}, {
+    timestamps: true
+});
+
+// One default per owner
+hiringPipelineSchema.index({ owner: 1, post: 1 }, { unique: true });
+// One override per post whoever created it — company members upsert by { post } concurrently
+hiringPipelineSchema.index(
+    { post: 1 },
+    { unique: true, partialFilterExpression: { post: { $type: 'objectId' } }, name: 'post_override_unique' }
+);
+
+module.exports = mongoose.model('HiringPipeline', hiringPipelineSchema);
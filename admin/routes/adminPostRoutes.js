@@ -5,19 +5,54 @@ const {
     createPost,
     updatePost,
     deletePost,
+    getDrafts,
+    createDraft,
+    updateDraft,
+    submitDraft,
+    renewPost,
     getPostStats,
     getPostAnalytics,
+    getPostFunnelAnalytics,
+    getPostRevisions,
     getPendingPosts,
     getTrustedPendingPosts,
     getRejectedPosts,
     approvePost,
     rejectPost,
     getInterestedApplications,
-    updateInterestedApplicationStatus
+    searchInterestedApplications,
+    getInterestedApplicationById,
+    updateInterestedApplicationStatus,
+    getInterestedApplicationHistory,
+    getPostPipeline,
+    updatePostPipeline,
+    getDefaultPipeline,
+    updateDefaultPipeline,
+    getScreeningQuestions,
+    updateScreeningQuestions
 } = require('../controllers/adminPostController');
-const { protectAdmin, adminRateLimit } = require('../middleware/adminAuthMiddleware');
+const {
+    getReviewNotes,
+    addReviewNote,
+    deleteReviewNote,
+    rateApplication
+} = require('../controllers/applicationReviewController');
+const { exportInterestedApplications } = require('../controllers/applicationExportController');
+const {
+    streamApplicationDocument,
+    downloadApplicationDocumentsZip,
+    downloadPostDocumentsZip
+} = require('../controllers/applicationDocumentController');
+const {
+    getInterviews,
+    proposeInterview,
+    rescheduleInterview,
+    cancelInterview,
+    downloadInterviewIcs
+} = require('../controllers/interviewController');
+const { protectAdmin, protectAdminOrSuperAdmin, adminRateLimit } = require('../middleware/adminAuthMiddleware');
 const { protectSuperAdmin } = require('../middleware/superAdminMiddleware');
-const uploadWithSizeCheck = require('../../middleware/uploadMiddleware');
+const { uploadMediaFiles } = require('../../middleware/uploadMiddleware');
 const rateLimit = require('express-rate-limit');
 
 const postLimiter = rateLimit({
@@ -35,8 +70,47 @@ router.use(adminRateLimit);
 router.get('/', protectAdmin, getAllPosts);
 router.get('/stats', protectAdmin, getPostStats);
 router.get('/analytics', protectAdmin, getPostAnalytics);
+router.get('/:id/analytics', protectAdmin, getPostFunnelAnalytics);
+router.get('/:id/revisions', protectAdminOrSuperAdmin, getPostRevisions);
+
+// Drafts — private to their author until submitted (DELETE /:id discards one)
+router.get('/drafts', protectAdmin, getDrafts);
+router.post('/drafts', protectAdmin, uploadMediaFiles('media'), createDraft);
+router.put('/drafts/:id', protectAdmin, uploadMediaFiles('media'), updateDraft);
+router.post('/drafts/:id/submit', protectAdmin, postLimiter, submitDraft);
+
 router.get('/interested-applications', protectAdmin, getInterestedApplications);
+router.get('/interested-applications/search', protectAdmin, searchInterestedApplications);
+router.get('/interested-applications/:id', protectAdmin, getInterestedApplicationById);
 router.put('/interested-applications/:id/status', protectAdmin, updateInterestedApplicationStatus);
+router.get('/interested-applications/:id/history', protectAdmin, getInterestedApplicationHistory);
+router.get('/interested-applications/:id/documents/zip', protectAdmin, downloadApplicationDocumentsZip);
+router.get('/interested-applications/:id/documents/:index', protectAdmin, streamApplicationDocument);
+
+// Internal reviewer notes and ratings (never exposed to applicants)
+router.get('/interested-applications/:id/notes', protectAdmin, getReviewNotes);
+router.post('/interested-applications/:id/notes', protectAdmin, addReviewNote);
+router.put('/interested-applications/:id/notes/rating', protectAdmin, rateApplication);
+router.delete('/interested-applications/:id/notes/:noteId', protectAdmin, deleteReviewNote);
+
+// Interview scheduling
+router.get('/interested-applications/:id/interviews', protectAdmin, getInterviews);
+router.post('/interested-applications/:id/interviews', protectAdmin, proposeInterview);
+router.put('/interested-applications/:id/interviews/:interviewId', protectAdmin, rescheduleInterview);
+router.delete('/interested-applications/:id/interviews/:interviewId', protectAdmin, cancelInterview);
+router.get('/interested-applications/:id/interviews/:interviewId/ics', protectAdmin, downloadInterviewIcs);
+
+// Hiring pipeline configuration
+router.get('/pipeline/default', protectAdmin, getDefaultPipeline);
+router.put('/pipeline/default', protectAdmin, updateDefaultPipeline);
+router.get('/:id/pipeline', protectAdmin, getPostPipeline);
+router.get('/:id/interested-applications/export', protectAdmin, exportInterestedApplications);
+router.get('/:id/interested-applications/documents/zip', protectAdmin, downloadPostDocumentsZip);
+router.put('/:id/pipeline', protectAdmin, updatePostPipeline);
+
+// Screening questions asked on POST /api/posts/:id/interested
+router.get('/:id/screening-questions', protectAdmin, getScreeningQuestions);
+router.put('/:id/screening-questions', protectAdmin, updateScreeningQuestions);
 
 // Super Admin Approval Routes
 router.get('/pending', protectSuperAdmin, getPendingPosts);
@@ -45,8 +119,9 @@ router.get('/rejected', protectSuperAdmin, getRejectedPosts);
 router.put('/:id/approve', protectSuperAdmin, approvePost);
 router.put('/:id/reject', protectSuperAdmin, rejectPost);
 
-router.post('/', protectAdmin, postLimiter, uploadWithSizeCheck('media'), createPost);
-router.put('/:id', protectAdmin, uploadWithSizeCheck('media'), updatePost);
+router.post('/', protectAdmin, postLimiter, uploadMediaFiles('media'), createPost);
+router.put('/:id', protectAdmin, uploadMediaFiles('media'), updatePost);
 router.delete('/:id', protectAdmin, deletePost);
+router.put('/:id/renew', protectAdmin, renewPost);
 
 module.exports = router;
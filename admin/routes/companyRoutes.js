@@ -0,0 +1,26 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getMyCompanies,
+    createCompany,
+    getCompany,
+    updateCompany,
+    deleteCompany,
+    addCompanyMember,
+    updateCompanyMember,
+    removeCompanyMember
+} = require('../controllers/companyController');
+const { protectAdmin } = require('../middleware/adminAuthMiddleware');
+const { uploadWithSizeCheck } = require('../../middleware/uploadMiddleware');
+
+router.get('/', protectAdmin, getMyCompanies);
+router.post('/', protectAdmin, uploadWithSizeCheck('logo'), createCompany);
+router.get('/:id', protectAdmin, getCompany);
+router.put('/:id', protectAdmin, uploadWithSizeCheck('logo'), updateCompany);
+router.delete('/:id', protectAdmin, deleteCompany);
+
+router.post('/:id/members', protectAdmin, addCompanyMember);
+router.put('/:id/members/:memberId', protectAdmin, updateCompanyMember);
+router.delete('/:id/members/:memberId', protectAdmin, removeCompanyMember);
+
+module.exports = router;
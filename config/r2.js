@@ -1,5 +1,7 @@
 const { S3Client, GetObjectCommand } = require('@aws-sdk/client-s3');
 const { getSignedUrl } = require('@aws-sdk/s3-request-presigner');
+const zlib = require('zlib');
+const { pipeline } = require('stream');
 
 const s3Client = new S3Client({
     region: 'auto',
@@ -13,16 +15,17 @@ const s3Client = new S3Client({
 const R2_BUCKET = process.env.R2_BUCKET_NAME;
 
 /**
- * Generate a presigned URL for an R2 object (expires in 1 hour)
+ * Generate a presigned URL for an R2 object (expires in 1 hour by default)
  * @param {string} key - The object key in R2
+ * @param {number} [expiresIn=3600] - Lifetime in seconds
  * @returns {Promise<string>} Presigned URL
  */
-const getPresignedUrl = async (key) => {
+const getPresignedUrl = async (key, expiresIn = 3600) => {
     const command = new GetObjectCommand({
         Bucket: R2_BUCKET,
         Key: key,
     });
-    return getSignedUrl(s3Client, command, { expiresIn: 3600 }); // 1 hour
+    return getSignedUrl(s3Client, command, { expiresIn });
 };
 
 /**
@@ -30,6 +33,27 @@ const getPresignedUrl = async (key) => {
  */
 const isR2Key = (value) => value && !value.startsWith('http');
 
+/**
+ * Sign every item of a post's media gallery, replacing `key` with `url`.
+ * Posts saved before galleries existed get one built from image_url/video_url.
+ * @param {object} post - Post object with raw (unsigned) media fields
+ * @returns {Promise<Array>} Signed media items
+ */
+const signMediaItems = async (post) => {
+    let items = post.media || [];
+    if (items.length === 0) {
+        items = [
+            post.image_url && { type: 'image', key: post.image_url },
+            post.video_url && { type: 'video', key: post.video_url },
+        ].filter(Boolean);
+    }
+
+    return Promise.all(items.map(async ({ key, ...item }) => ({
+        ...item,
+        url: isR2Key(key) ? await getPresignedUrl(key) : key,
+    })));
+};
+
 /**
  * Sign media URLs on an array of post objects.
  * Only signs values that look like R2 keys (not already URLs).
@@ -39,6 +63,7 @@ const isR2Key = (value) => value && !value.startsWith('http');
 const signPostMediaUrls = async (posts) => {
     return Promise.all(posts.map(async (post) => {
         const signed = { ...post };
+        signed.media = await signMediaItems(post);
         if (isR2Key(signed.image_url)) {
             signed.image_url = await getPresignedUrl(signed.image_url);
         }
@@ -57,6 +82,7 @@ const signPostMediaUrls = async (posts) => {
 const signSinglePostMedia = async (post) => {
     if (!post) return post;
     const obj = post.toObject ? post.toObject() : { ...post };
+    obj.media = await signMediaItems(obj);
     if (isR2Key(obj.image_url)) {
         obj.image_url = await getPresignedUrl(obj.image_url);
     }
@@ -66,9 +92,36 @@ const signSinglePostMedia = async (post) => {
     return obj;
 };
 
-const signR2ObjectKey = async (key) => {
+const signR2ObjectKey = async (key, expiresIn) => {
     if (!isR2Key(key)) return key;
-    return getPresignedUrl(key);
+    return getPresignedUrl(key, expiresIn);
+};
+
+/**
+ * Fetch an R2 object as a readable stream, gunzipping it when it was stored
+ * with ContentEncoding: gzip (interested-application documents are).
+ * @param {string} key - The object key in R2
+ * @returns {Promise<import('stream').Readable>} Decompressed body stream
+ */
+const getDecompressedObjectStream = async (key) => {
+    const object = await s3Client.send(new GetObjectCommand({
+        Bucket: R2_BUCKET,
+        Key: key,
+    }));
+    if (object.ContentEncoding === 'gzip') {
+        // pipeline ties both ends together: destroying the returned stream also closes the R2 body,
+        // and errors reach the caller through the returned stream
+        return pipeline(object.Body, zlib.createGunzip(), () => {});
+    }
+    return object.Body;
 };
 
-module.exports = { s3Client, R2_BUCKET, getPresignedUrl, signR2ObjectKey, signPostMediaUrls, signSinglePostMedia };
+module.exports = {
+    s3Client,
+    R2_BUCKET,
+    getPresignedUrl,
+    signR2ObjectKey,
+    signPostMediaUrls,
+    signSinglePostMedia,
+    getDecompressedObjectStream,
+};
@@ -10,6 +10,7 @@ const getActivities = async (req, res) => {
         const activities = await Activity.find({ recipient: req.user.id })
             .populate('actor', 'username display_name avatar_url')
             .populate('post', 'content image_url')
+            .populate('company', 'name slug')
             .sort({ createdAt: -1 })
             .limit(50)
             .lean(); // Use lean for modifying the result directly
@@ -0,0 +1,147 @@
+const JobAlert = require('../models/JobAlert');
+const { EMPLOYMENT_TYPES, WORKPLACE_TYPES } = require('../utils/jobFields');
+
+const MAX_ALERTS_PER_USER = 20;
+const FREQUENCIES = ['instant', 'daily'];
+
+// Normalize a list field sent as an array or comma-separated string
+function parseList(value, allowed) {
+    if (value === undefined) return undefined;
+    const items = Array.isArray(value) ? value : String(value).split(',');
+    const cleaned = items.map(v => String(v).trim()).filter(Boolean);
+    if (cleaned.some(v => !allowed.includes(v))) return null;
+    return [...new Set(cleaned)];
+}
+
+// Validate alert fields from the request body; returns { fields } or { error }
+function parseAlertBody(body) {
+    const fields = {};
+
+    ['name', 'keywords', 'location'].forEach((key) => {
+        if (body[key] !== undefined) {
+            fields[key] = String(body[key] || '').trim().replace(/[<>]/g, '');
+        }
+    });
+
+    const employmentTypes = parseList(body.employmentTypes, EMPLOYMENT_TYPES);
+    if (employmentTypes === null) {
+        return { error: `Employment types must be from: ${EMPLOYMENT_TYPES.join(', ')}` };
+    }
+    if (employmentTypes !== undefined) fields.employmentTypes = employmentTypes;
+
+    const workplaceTypes = parseList(body.workplaceTypes, WORKPLACE_TYPES);
+    if (workplaceTypes === null) {
+        return { error: `Workplace types must be from: ${WORKPLACE_TYPES.join(', ')}` };
+    }
+    if (workplaceTypes !== undefined) fields.workplaceTypes = workplaceTypes;
+
+    if (body.frequency !== undefined) {
+        if (!FREQUENCIES.includes(body.frequency)) {
+            return { error: 'Frequency must be instant or daily' };
+        }
+        fields.frequency = body.frequency;
+    }
+
+    if (body.isActive !== undefined) {
+        fields.isActive = body.isActive === true || body.isActive === 'true';
+    }
+
+    return { fields };
+}
+
+// @desc    Get the current user's job alerts
+// @route   GET /api/alerts
+// @access  Private
+const getAlerts = async (req, res) => {
+    try {
+        const alerts = await JobAlert.find({ user: req.user._id })
+            .select('-pendingPosts')
+            .sort({ createdAt: -1 })
+            .lean();
+        res.status(200).json(alerts);
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+// @desc    Create a job alert (saved search)
+// @route   POST /api/alerts
+// @access  Private
+const createAlert = async (req, res) => {
+    try {
+        const { fields, error } = parseAlertBody(req.body);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+
+        const hasCriteria = fields.keywords || fields.location
+            || fields.employmentTypes?.length || fields.workplaceTypes?.length;
+        if (!hasCriteria) {
+            return res.status(400).json({ message: 'At least one search criterion is required' });
+        }
+
+        const count = await JobAlert.countDocuments({ user: req.user._id });
+        if (count >= MAX_ALERTS_PER_USER) {
+            return res.status(400).json({ message: `You can save up to ${MAX_ALERTS_PER_USER} alerts` });
+        }
+
+        const alert = await JobAlert.create({ ...fields, user: req.user._id });
+        res.status(201).json(alert);
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+// @desc    Update a job alert
+// @route   PUT /api/alerts/:id
+// @access  Private
+const updateAlert = async (req, res) => {
+    try {
+        const { fields, error } = parseAlertBody(req.body);
+        if (error) {
+            return res.status(400).json({ message: error });
+        }
+
+        const alert = await JobAlert.findOneAndUpdate(
+            { _id: req.params.id, user: req.user._id },
+            { $set: fields },
+            { new: true, runValidators: true }
+        ).select('-pendingPosts');
+
+        if (!alert) {
+            return res.status(404).json({ message: 'Alert not found' });
+        }
+
+        res.status(200).json(alert);
+    } catch (error) {
+        if (error.kind === 'ObjectId') {
+            return res.status(404).json({ message: 'Alert not found' });
+        }
+        res.status(500).json({ message: error.message });
+    }
+};
+
+// @desc    Delete a job alert
+// @route   DELETE /api/alerts/:id
+// @access  Private
+const deleteAlert = async (req, res) => {
+    try {
+        const alert = await JobAlert.findOneAndDelete({ _id: req.params.id, user: req.user._id });
+        if (!alert) {
+            return res.status(404).json({ message: 'Alert not found' });
+        }
+        res.status(200).json({ id: req.params.id });
+    } catch (error) {
+        if (error.kind === 'ObjectId') {
+            return res.status(404).json({ message: 'Alert not found' });
+        }
+        res.status(500).json({ message: error.message });
+    }
+};
+
+module.exports = {
+    getAlerts,
+    createAlert,
+    updateAlert,
+    deleteAlert,
+};
@@ -0,0 +1,133 @@
+const ApplicantProfile = require('../models/ApplicantProfile');
+const { signR2ObjectKey } = require('../config/r2');
+const { uploadCompressedDocument, deleteStoredDocument } = require('../utils/documentStorage');
+
+const MAX_SAVED_DOCUMENTS = 10;
+const DOWNLOAD_URL_TTL_SECONDS = 5 * 60;
+const PROFILE_FIELDS = ['fullName', 'email', 'phone', 'location', 'coverLetter'];
+
+// ─── Helper: profile response with short-lived document download links ───────
+async function toProfileView(profile) {
+    const obj = profile.toObject ? profile.toObject() : profile;
+    const documents = await Promise.all((obj.documents || []).map(async (document) => ({
+        _id: document._id,
+        originalName: document.originalName,
+        mimeType: document.mimeType,
+        originalSize: document.originalSize,
+        createdAt: document.createdAt,
+        downloadUrl: await signR2ObjectKey(document.r2Key, DOWNLOAD_URL_TTL_SECONDS),
+    })));
+    return { ...obj, documents };
+}
+
+// @desc    Get the current user's applicant profile
+// @route   GET /api/applicant-profile
+// @access  Private
+const getApplicantProfile = async (req, res) => {
+    try {
+        const profile = await ApplicantProfile.findOne({ user: req.user._id }).lean();
+        if (!profile) {
+            return res.status(200).json({
+                user: req.user._id,
+                fullName: req.user.display_name || '',
+                email: req.user.email || '',
+                phone: req.user.phone_number || '',
+                location: '',
+                coverLetter: '',
+                documents: [],
+            });
+        }
+        res.status(200).json(await toProfileView(profile));
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+// @desc    Create or update the current user's applicant profile
+// @route   PUT /api/applicant-profile
+// @access  Private
+const updateApplicantProfile = async (req, res) => {
+    try {
+        const updates = {};
+        PROFILE_FIELDS.forEach((field) => {
+            if (req.body[field] !== undefined) {
+                updates[field] = String(req.body[field] || '').trim();
+            }
+        });
+
+        if (updates.coverLetter && updates.coverLetter.length > 5000) {
+            return res.status(400).json({ message: 'Cover letter cannot exceed 5000 characters' });
+        }
+
+        const profile = await ApplicantProfile.findOneAndUpdate(
+            { user: req.user._id },
+            { $set: updates },
+            { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+        );
+
+        res.status(200).json(await toProfileView(profile));
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+// @desc    Upload documents to the applicant's saved library
+// @route   POST /api/applicant-profile/documents
+// @access  Private
+const uploadProfileDocuments = async (req, res) => {
+    try {
+        if (!req.files || req.files.length === 0) {
+            return res.status(400).json({ message: 'At least one document is required' });
+        }
+
+        const existing = await ApplicantProfile.findOne({ user: req.user._id }).select('documents').lean();
+        const currentCount = existing?.documents?.length || 0;
+        if (currentCount + req.files.length > MAX_SAVED_DOCUMENTS) {
+            return res.status(400).json({ message: `You can keep up to ${MAX_SAVED_DOCUMENTS} saved documents` });
+        }
+
+        const prefix = `applicant-profiles/${req.user._id}`;
+        const documents = await Promise.all(req.files.map((file, index) => uploadCompressedDocument(file, prefix, index)));
+
+        const profile = await ApplicantProfile.findOneAndUpdate(
+            { user: req.user._id },
+            { $push: { documents: { $each: documents } } },
+            { new: true, upsert: true, setDefaultsOnInsert: true }
+        );
+
+        res.status(201).json(await toProfileView(profile));
+    } catch (error) {
+        console.error('uploadProfileDocuments error:', error);
+        res.status(500).json({ message: 'Failed to upload documents' });
+    }
+};
+
+// @desc    Remove a document from the applicant's saved library
+// @route   DELETE /api/applicant-profile/documents/:documentId
+// @access  Private
+const deleteProfileDocument = async (req, res) => {
+    try {
+        const profile = await ApplicantProfile.findOne({ user: req.user._id });
+        const document = profile?.documents.id(req.params.documentId);
+        if (!document) {
+            return res.status(404).json({ message: 'Document not found' });
+        }
+
+        // Applications hold their own copies, so removing the library file is safe
+        const key = document.r2Key;
+        document.deleteOne();
+        await profile.save();
+        await deleteStoredDocument(key);
+
+        res.status(200).json(await toProfileView(profile));
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
+module.exports = {
+    getApplicantProfile,
+    updateApplicantProfile,
+    uploadProfileDocuments,
+    deleteProfileDocument,
+};
@@ -0,0 +1,238 @@
+const Company = require('../models/Company');
+const CompanyFollow = require('../models/CompanyFollow');
+const Post = require('../models/Post');
+const { signR2ObjectKey, signPostMediaUrls } = require('../config/r2');
+const {
+    getLikedPostIds,
+    attachLikeInfo,
+    getBookmarkedPostIds,
+    attachBookmarkInfo
+} = require('../utils/postViewerState');
+const { escapeRegex } = require('../utils/escapeRegex');
+
+// Fields anyone may see on a company — memberships stay admin-only
+const PUBLIC_COMPANY_FIELDS = 'name slug logo description website locations followersCount createdAt';
+
+// ─── Helper: published and not past its expiry date ────────────────────────
+function openPostsQuery(companyIds) {
+    return {
+        company: Array.isArray(companyIds) ? { $in: companyIds } : companyIds,
+        status: 'published',
+        $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }]
+    };
+}
+
+// ─── Helper: sign logos and attach open-position counts ─────────────────────
+async function toCompanyCards(companies) {
+    const counts = await Post.aggregate([
+        { $match: openPostsQuery(companies.map(c => c._id)) },
+        { $group: { _id: '$company', count: { $sum: 1 } } }
+    ]);
+    const countMap = new Map(counts.map(c => [c._id.toString(), c.count]));
+
+    return Promise.all(companies.map(async (company) => ({
+        ...company,
+        logo: company.logo ? await signR2ObjectKey(company.logo) : null,
+        openPositions: countMap.get(company._id.toString()) || 0
+    })));
+}
+
+// @desc    Browse/search companies
+// @route   GET /api/companies
+// @access  Public
+const getCompanies = async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+        const cursor = req.query.cursor;
+        const q = typeof req.query.q === 'string' ? req.query.q.trim().slice(0, 100) : '';
+        const location = typeof req.query.location === 'string' ? req.query.location.trim().slice(0, 100) : '';
+
+        const query = {};
+        if (q) {
+            query.name = new RegExp(escapeRegex(q), 'i');
+        }
+        if (location) {
+            const pattern = new RegExp(escapeRegex(location), 'i');
+            query.$or = [
+                { 'locations.city': pattern },
+                { 'locations.state': pattern },
+                { 'locations.country': pattern }
+            ];
+        }
+        if (cursor) {
+            query.createdAt = { $lt: new Date(cursor) };
+        }
+
+        const companies = await Company.find(query)
+            .select(PUBLIC_COMPANY_FIELDS)
+            .sort({ createdAt: -1 })
+            .limit(limit + 1)
+            .lean();
+
+        const hasMore = companies.length > limit;
+        if (hasMore) {
+            companies.pop();
+        }
+        const nextCursor = companies.length > 0 ? companies[companies.length - 1].createdAt : null;
+
+        res.status(200).json({
+            companies: await toCompanyCards(companies),
+            nextCursor,
+            hasMore
+        });
+    } catch (error) {
+        console.error('getCompanies error:', error);
+        res.status(500).json({ message: 'Failed to fetch companies' });
+    }
+};
+
+// @desc    Get a company profile with a page of its open vacancies
+// @route   GET /api/companies/:slug
+// @access  Public
+const getCompanyBySlug = async (req, res) => {
+    try {
+        const company = await Company.findOne({ slug: String(req.params.slug).toLowerCase() })
+            .select(PUBLIC_COMPANY_FIELDS)
+            .lean();
+        if (!company) {
+            return res.status(404).json({ message: 'Company not found' });
+        }
+
+        const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+        const cursor = req.query.cursor;
+
+        const postQuery = openPostsQuery(company._id);
+        if (cursor) {
+            postQuery.createdAt = { $lt: new Date(cursor) };
+        }
+
+        const [posts, openPositions, following] = await Promise.all([
+            Post.find(postQuery)
+                .populate('user', 'username display_name avatar_url')
+                .sort({ createdAt: -1 })
+                .limit(limit + 1)
+                .lean(),
+            Post.countDocuments(openPostsQuery(company._id)),
+            req.user ? CompanyFollow.exists({ company: company._id, user: req.user._id }) : null
+        ]);
+
+        const hasMore = posts.length > limit;
+        if (hasMore) {
+            posts.pop();
+        }
+        const nextCursor = posts.length > 0 ? posts[posts.length - 1].createdAt : null;
+
+        const userId = req.user?._id;
+        const postIds = posts.map(p => p._id);
+        const [likedSet, bookmarkedSet] = await Promise.all([
+            getLikedPostIds(userId, postIds),
+            getBookmarkedPostIds(userId, postIds)
+        ]);
+        const withLikes = attachBookmarkInfo(attachLikeInfo(posts, likedSet), bookmarkedSet);
+
+        res.status(200).json({
+            company: {
+                ...company,
+                logo: company.logo ? await signR2ObjectKey(company.logo) : null,
+                openPositions,
+                followedByMe: !!following
+            },
+            posts: await signPostMediaUrls(withLikes),
+            nextCursor,
+            hasMore
+        });
+    } catch (error) {
+        console.error('getCompanyBySlug error:', error);
+        res.status(500).json({ message: 'Failed to fetch company' });
+    }
+};
+
+// @desc    Follow/unfollow a company
+// @route   POST /api/companies/:slug/follow
+// @access  Private
+const toggleCompanyFollow = async (req, res) => {
+    try {
+        const company = await Company.findOne({ slug: String(req.params.slug).toLowerCase() }).select('_id');
+        if (!company) {
+            return res.status(404).json({ message: 'Company not found' });
+        }
+
+        // Try to remove an existing follow (atomic: returns deleted doc or null)
+        const existing = await CompanyFollow.findOneAndDelete({ company: company._id, user: req.user._id });
+        if (existing) {
+            const updated = await Company.findOneAndUpdate(
+                { _id: company._id, followersCount: { $gt: 0 } },
+                { $inc: { followersCount: -1 } },
+                { new: true }
+            ).select('followersCount').lean();
+            return res.status(200).json({ following: false, followersCount: updated?.followersCount || 0 });
+        }
+
+        try {
+            await CompanyFollow.create({ company: company._id, user: req.user._id });
+        } catch (err) {
+            // Concurrent double-follow — the follow already exists
+            if (err.code !== 11000) throw err;
+            const current = await Company.findById(company._id).select('followersCount').lean();
+            return res.status(200).json({ following: true, followersCount: current.followersCount });
+        }
+
+        const updated = await Company.findByIdAndUpdate(
+            company._id,
+            { $inc: { followersCount: 1 } },
+            { new: true }
+        ).select('followersCount').lean();
+
+        return res.status(200).json({ following: true, followersCount: updated.followersCount });
+    } catch (error) {
+        console.error('toggleCompanyFollow error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// @desc    List companies the current user follows
+// @route   GET /api/companies/following
+// @access  Private
+const getFollowedCompanies = async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 20, 50);
+        const cursor = req.query.cursor;
+
+        const query = { user: req.user._id };
+        if (cursor) {
+            query.createdAt = { $lt: new Date(cursor) };
+        }
+
+        const follows = await CompanyFollow.find(query)
+            .populate('company', PUBLIC_COMPANY_FIELDS)
+            .sort({ createdAt: -1 })
+            .limit(limit + 1)
+            .lean();
+
+        const hasMore = follows.length > limit;
+        if (hasMore) {
+            follows.pop();
+        }
+        // Cursor is the follow time, not the company's — list is ordered by when it was followed
+        const nextCursor = follows.length > 0 ? follows[follows.length - 1].createdAt : null;
+
+        // Companies deleted since being followed are skipped
+        const companies = follows.filter(f => f.company).map(f => ({ ...f.company, followedAt: f.createdAt }));
+
+        res.status(200).json({
+            companies: await toCompanyCards(companies),
+            nextCursor,
+            hasMore
+        });
+    } catch (error) {
+        console.error('getFollowedCompanies error:', error);
+        res.status(500).json({ message: 'Failed to fetch followed companies' });
+    }
+};
+
+module.exports = {
+    getCompanies,
+    getCompanyBySlug,
+    toggleCompanyFollow,
+    getFollowedCompanies
+};
@@ -1,23 +1,52 @@
-const path = require('path');
-const crypto = require('crypto');
-const { promisify } = require('util');
-const { gzip } = require('zlib');
-const { PutObjectCommand } = require('@aws-sdk/client-s3');
 const Post = require('../models/Post');
 const InterestedApplication = require('../models/InterestedApplication');
-const { s3Client, R2_BUCKET } = require('../config/r2');
-
-const gzipAsync = promisify(gzip);
-
-function sanitizeFileName(filename = 'document') {
-    const parsed = path.parse(filename);
-    const safeBase = (parsed.name || 'document')
-        .replace(/[^a-zA-Z0-9-_]/g, '-')
-        .replace(/-+/g, '-')
-        .replace(/^-|-$/g, '')
-        .slice(0, 60) || 'document';
-    const safeExt = (parsed.ext || '').replace(/[^a-zA-Z0-9.]/g, '').slice(0, 10);
-    return `${safeBase}${safeExt}`;
+const ApplicantProfile = require('../models/ApplicantProfile');
+const { signR2ObjectKey, signSinglePostMedia } = require('../config/r2');
+const { uploadCompressedDocument, copyStoredDocument } = require('../utils/documentStorage');
+const { evaluateScreeningAnswers } = require('../utils/screeningQuestions');
+const {
+    INITIAL_STAGE,
+    REJECTED_STAGE,
+    canTransition,
+    resolvePipeline
+} = require('../utils/hiringPipeline');
+const { triggerResumeExtraction } = require('../jobs/resumeExtractionJob');
+const { cancelOpenInterviews } = require('../utils/interviews');
+
+// Uploaded + saved documents combined, same cap as interestedUploadMiddleware
+const MAX_APPLICATION_DOCUMENTS = 5;
+
+// Applicant download links are short-lived — documents contain personal data
+const DOWNLOAD_URL_TTL_SECONDS = 5 * 60;
+
+// Fields an applicant may see on their own application
+const APPLICANT_VIEW_FIELDS = 'post fullName email phone location coverLetter documents status createdAt updatedAt '
+    + 'screeningAnswers.question screeningAnswers.prompt screeningAnswers.type screeningAnswers.value';
+const POST_SUMMARY_FIELDS = 'content image_url video_url status job expiresAt createdAt user userModel';
+
+// ─── Helper: sign the post summary and document download links ───────────────
+async function toApplicantView(application) {
+    const post = application.post ? await signSinglePostMedia(application.post) : null;
+    const documents = await Promise.all((application.documents || []).map(async (document) => ({
+        originalName: document.originalName,
+        mimeType: document.mimeType,
+        originalSize: document.originalSize,
+        downloadUrl: await signR2ObjectKey(document.r2Key, DOWNLOAD_URL_TTL_SECONDS),
+    })));
+
+    return { ...application, post, documents };
+}
+
+// ─── Helper: read saved-document IDs from a multipart or JSON body ───────────
+function parseSavedDocumentIds(value) {
+    if (!value) return [];
+    if (Array.isArray(value)) return value.map(String);
+    try {
+        const parsed = JSON.parse(value);
+        return Array.isArray(parsed) ? parsed.map(String) : [String(parsed)];
+    } catch (_) {
+        return String(value).split(',').map(v => v.trim()).filter(Boolean);
+    }
 }
 
 // @desc    Submit an interested application for a published post
@@ -26,20 +55,53 @@ function sanitizeFileName(filename = 'document') {
 const createInterestedApplication = async (req, res) => {
     try {
         const postId = req.params.id;
-        const { fullName, email, phone, location, coverLetter } = req.body;
 
-        const post = await Post.findOne({ _id: postId, status: 'published' }).select('_id');
-        if (!post) {
+        // Selecting the array explicitly includes the (normally hidden) knockout rules
+        const post = await Post.findById(postId).select('_id user status expiresAt screeningQuestions');
+        if (!post || !['published', 'expired'].includes(post.status)) {
             return res.status(404).json({ message: 'Published post not found' });
         }
 
+        // Expired by the sweeper, or past its deadline but not yet swept
+        if (post.status === 'expired' || (post.expiresAt && post.expiresAt <= new Date())) {
+            return res.status(410).json({ message: 'This vacancy has expired and is no longer accepting applications' });
+        }
+
+        const { answers: screeningAnswers, knockedOut, error: screeningError } = evaluateScreeningAnswers(
+            post.screeningQuestions,
+            req.body.screeningAnswers
+        );
+        if (screeningError) {
+            return res.status(400).json({ message: screeningError });
+        }
+
+        // Fields left blank fall back to the applicant's saved profile
+        const savedDocumentIds = parseSavedDocumentIds(req.body.savedDocumentIds);
+        const profile = await ApplicantProfile.findOne({ user: req.user._id }).lean();
+        const pick = (field) => String(req.body[field] || '').trim() || profile?.[field] || '';
+
+        const fullName = pick('fullName');
+        const email = pick('email');
+        const phone = pick('phone');
+        const location = pick('location');
+        const coverLetter = pick('coverLetter');
+
         if (!fullName || !email || !phone) {
             return res.status(400).json({ message: 'Full name, email, and phone are required' });
         }
 
-        if (!req.files || req.files.length === 0) {
+        const savedDocuments = savedDocumentIds.map(id => (profile?.documents || []).find(d => d._id.toString() === id));
+        if (savedDocuments.some(d => !d)) {
+            return res.status(400).json({ message: 'One or more saved documents were not found' });
+        }
+
+        const uploadedFiles = req.files || [];
+        if (uploadedFiles.length + savedDocuments.length === 0) {
             return res.status(400).json({ message: 'At least one document is required' });
         }
+        if (uploadedFiles.length + savedDocuments.length > MAX_APPLICATION_DOCUMENTS) {
+            return res.status(400).json({ message: `You can attach up to ${MAX_APPLICATION_DOCUMENTS} documents` });
+        }
 
         const existingApplication = await InterestedApplication.findOne({
             post: postId,
@@ -50,45 +112,58 @@ const createInterestedApplication = async (req, res) => {
             return res.status(409).json({ message: 'You have already submitted interest for this post' });
         }
 
+        const statusHistory = [{
+            from: null,
+            to: INITIAL_STAGE,
+            actor: req.user._id,
+            actorModel: 'User',
+        }];
+
+        // A disqualifying answer skips review and lands the application straight in rejected.
+        // Custom pipelines may have no reachable rejected stage — then it stays in review,
+        // flagged by its disqualifying answers, rather than in a stage it can't leave.
+        let status = INITIAL_STAGE;
+        if (knockedOut) {
+            const { stages } = await resolvePipeline(post);
+            if (canTransition(stages, INITIAL_STAGE, REJECTED_STAGE)) {
+                status = REJECTED_STAGE;
+                statusHistory.push({
+                    from: INITIAL_STAGE,
+                    to: REJECTED_STAGE,
+                    actor: req.user._id,
+                    actorModel: 'User',
+                    note: 'Automatically rejected by a screening question knockout rule',
+                });
+            }
+        }
+
         const application = await InterestedApplication.create({
             post: postId,
             applicant: req.user.id,
-            fullName: fullName.trim(),
-            email: email.trim().toLowerCase(),
-            phone: phone.trim(),
-            location: location?.trim() || '',
-            coverLetter: coverLetter?.trim() || '',
+            fullName,
+            email: email.toLowerCase(),
+            phone,
+            location,
+            coverLetter,
             documents: [],
+            screeningAnswers,
+            status,
+            statusHistory,
         });
 
-        const documents = await Promise.all(req.files.map(async (file, index) => {
-            const safeName = sanitizeFileName(file.originalname);
-            const compressedBuffer = await gzipAsync(file.buffer, { level: 9 });
-            const key = `interested-user-docs/${postId}/${application._id}/${Date.now()}-${index}-${crypto.randomBytes(4).toString('hex')}-${safeName}.gz`;
-
-            await s3Client.send(new PutObjectCommand({
-                Bucket: R2_BUCKET,
-                Key: key,
-                Body: compressedBuffer,
-                ContentType: file.mimetype || 'application/octet-stream',
-                ContentEncoding: 'gzip',
-                Metadata: {
-                    originalname: safeName,
-                },
-            }));
-
-            return {
-                originalName: file.originalname,
-                mimeType: file.mimetype || 'application/octet-stream',
-                r2Key: key,
-                originalSize: file.size,
-                compressedSize: compressedBuffer.length,
-            };
-        }));
+        // Saved library documents are copied, so deleting one later doesn't break this application
+        const prefix = `interested-user-docs/${postId}/${application._id}`;
+        const documents = await Promise.all([
+            ...uploadedFiles.map((file, index) => uploadCompressedDocument(file, prefix, index)),
+            ...savedDocuments.map((document, index) => copyStoredDocument(document, prefix, uploadedFiles.length + index)),
+        ]);
 
         application.documents = documents;
         await application.save();
 
+        // Resume text extraction runs in the background, off the request path
+        triggerResumeExtraction();
+
         return res.status(201).json({
             message: 'Interest submitted successfully',
             applicationId: application._id,
@@ -104,4 +179,131 @@ const createInterestedApplication = async (req, res) => {
     }
 };
 
-module.exports = { createInterestedApplication };
+// @desc    List the current user's interested applications
+// @route   GET /api/applications/mine
+// @access  Private
+const getMyApplications = async (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit) || 10;
+        const cursor = req.query.cursor;
+
+        const query = { applicant: req.user._id };
+        if (cursor) {
+            query.createdAt = { $lt: new Date(cursor) };
+        }
+
+        const applications = await InterestedApplication.find(query)
+            .select(APPLICANT_VIEW_FIELDS)
+            .populate({
+                path: 'post',
+                select: POST_SUMMARY_FIELDS,
+                populate: { path: 'user', select: 'username display_name avatar_url' },
+            })
+            .sort({ createdAt: -1 })
+            .limit(limit + 1)
+            .lean();
+
+        const hasMore = applications.length > limit;
+        if (hasMore) {
+            applications.pop();
+        }
+        const nextCursor = applications.length > 0 ? applications[applications.length - 1].createdAt : null;
+
+        const data = await Promise.all(applications.map(toApplicantView));
+
+        res.status(200).json({
+            applications: data,
+            nextCursor,
+            hasMore,
+        });
+    } catch (error) {
+        console.error('getMyApplications error:', error);
+        res.status(500).json({ message: 'Failed to fetch applications' });
+    }
+};
+
+// @desc    Get one of the current user's interested applications
+// @route   GET /api/applications/:id
+// @access  Private
+const getMyApplicationById = async (req, res) => {
+    try {
+        const application = await InterestedApplication.findOne({
+            _id: req.params.id,
+            applicant: req.user._id,
+        })
+            .select(APPLICANT_VIEW_FIELDS)
+            .populate({
+                path: 'post',
+                select: POST_SUMMARY_FIELDS,
+                populate: { path: 'user', select: 'username display_name avatar_url' },
+            })
+            .lean();
+
+        if (!application) {
+            return res.status(404).json({ message: 'Application not found' });
+        }
+
+        res.status(200).json(await toApplicantView(application));
+    } catch (error) {
+        if (error.kind === 'ObjectId') {
+            return res.status(404).json({ message: 'Application not found' });
+        }
+        console.error('getMyApplicationById error:', error);
+        res.status(500).json({ message: 'Failed to fetch application' });
+    }
+};
+
+// @desc    Withdraw an application that has not been reviewed yet
+// @route   DELETE /api/applications/:id
+// @access  Private
+const withdrawApplication = async (req, res) => {
+    try {
+        const application = await InterestedApplication.findOne({
+            _id: req.params.id,
+            applicant: req.user._id,
+        }).select('status');
+
+        if (!application) {
+            return res.status(404).json({ message: 'Application not found' });
+        }
+
+        // Conditional update so a concurrent admin status change wins
+        const updated = await InterestedApplication.findOneAndUpdate(
+            { _id: application._id, status: 'submitted' },
+            {
+                $set: { status: 'withdrawn' },
+                $push: {
+                    statusHistory: {
+                        from: 'submitted',
+                        to: 'withdrawn',
+                        actor: req.user._id,
+                        actorModel: 'User',
+                        changedAt: new Date(),
+                    },
+                },
+            },
+            { new: true }
+        ).select('status');
+
+        if (!updated) {
+            return res.status(409).json({ message: 'Only applications that are still submitted can be withdrawn' });
+        }
+
+        res.status(200).json({ id: req.params.id, status: updated.status });
+
+        cancelOpenInterviews(req.app.get('io'), application._id, 'The applicant withdrew their application');
+    } catch (error) {
+        if (error.kind === 'ObjectId') {
+            return res.status(404).json({ message: 'Application not found' });
+        }
+        console.error('withdrawApplication error:', error);
+        res.status(500).json({ message: 'Failed to withdraw application' });
+    }
+};
+
+module.exports = {
+    createInterestedApplication,
+    getMyApplications,
+    getMyApplicationById,
+    withdrawApplication,
+};
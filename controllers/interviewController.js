@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+const Interview = require('../models/Interview');
+const InterestedApplication = require('../models/InterestedApplication');
+const { WITHDRAWN_STAGE } = require('../utils/hiringPipeline');
+const { sendInterviewIcs, notifyInterviewUpdate } = require('../utils/interviews');
+
+// Fields an applicant may see on their interviews
+const APPLICANT_INTERVIEW_FIELDS = 'application post title location meetingUrl notes slots selectedSlot startsAt endsAt status cancelledAt cancelReason createdAt updatedAt';
+
+// ─── Helper: find one of the current user's interviews on an application ─────
+const findOwnInterview = (req) => {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id) || !mongoose.Types.ObjectId.isValid(req.params.interviewId)) {
+        return null;
+    }
+    return Interview.findOne({
+        _id: req.params.interviewId,
+        application: req.params.id,
+        applicant: req.user._id,
+    });
+};
+
+// @desc    List interviews on one of the current user's applications
+// @route   GET /api/applications/:id/interviews
+// @access  Private
+const getApplicationInterviews = async (req, res) => {
+    try {
+        if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+            return res.status(404).json({ message: 'Application not found' });
+        }
+
+        const interviews = await Interview.find({ application: req.params.id, applicant: req.user._id })
+            .select(APPLICANT_INTERVIEW_FIELDS)
+            .sort({ createdAt: -1 })
+            .lean();
+
+        res.status(200).json(interviews);
+    } catch (error) {
+        console.error('getApplicationInterviews error:', error);
+        res.status(500).json({ message: 'Failed to fetch interviews' });
+    }
+};
+
+// @desc    Pick one of the proposed interview slots
+// @route   PUT /api/applications/:id/interviews/:interviewId/slot
+// @access  Private
+const selectInterviewSlot = async (req, res) => {
+    try {
+        const interview = await findOwnInterview(req);
+        if (!interview) {
+            return res.status(404).json({ message: 'Interview not found' });
+        }
+
+        const application = await InterestedApplication.findById(interview.application).select('status').lean();
+        if (!application || application.status === WITHDRAWN_STAGE) {
+            return res.status(409).json({ message: 'This application has been withdrawn' });
+        }
+
+        const slot = interview.slots.id(req.body.slotId);
+        if (!slot) {
+            return res.status(400).json({ message: 'Pick one of the proposed time slots' });
+        }
+        if (slot.start <= new Date()) {
+            return res.status(400).json({ message: 'That time slot has already passed' });
+        }
+
+        const wasScheduled = !!interview.startsAt;
+
+        // Conditional on the proposal we validated against — a concurrent reschedule/cancel wins
+        const updated = await Interview.findOneAndUpdate(
+            { _id: interview._id, status: 'proposed', 'slots._id': slot._id },
+            {
+                $set: { status: 'scheduled', selectedSlot: slot._id, startsAt: slot.start, endsAt: slot.end },
+                $inc: { sequence: 1 },
+            },
+            { new: true }
+        );
+
+        if (!updated) {
+            return res.status(409).json({ message: 'This interview was changed, please refresh and try again' });
+        }
+
+        res.status(200).json(await Interview.findById(updated._id).select(APPLICANT_INTERVIEW_FIELDS).lean());
+
+        notifyInterviewUpdate(req.app.get('io'), updated, wasScheduled ? 'rescheduled' : 'scheduled');
+    } catch (error) {
+        console.error('selectInterviewSlot error:', error);
+        res.status(500).json({ message: 'Failed to schedule interview' });
+    }
+};
+
+// @desc    Download an interview's .ics calendar file
+// @route   GET /api/applications/:id/interviews/:interviewId/ics
+// @access  Private
+const downloadInterviewIcs = async (req, res) => {
+    try {
+        const interview = await findOwnInterview(req);
+        if (!interview) {
+            return res.status(404).json({ message: 'Interview not found' });
+        }
+
+        if (!interview.startsAt) {
+            return res.status(409).json({ message: 'Pick a time slot first' });
+        }
+
+        await sendInterviewIcs(res, interview);
+    } catch (error) {
+        console.error('downloadInterviewIcs error:', error);
+        res.status(500).json({ message: 'Failed to build calendar file' });
+    }
+};
+
+module.exports = {
+    getApplicationInterviews,
+    selectInterviewSlot,
+    downloadInterviewIcs,
+};
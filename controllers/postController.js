@@ -1,34 +1,29 @@
 const Post = require('../models/Post');
 const Like = require('../models/Like');
+const Bookmark = require('../models/Bookmark');
 const User = require('../models/User');
 const Admin = require('../admin/models/Admin');
-const { PutObjectCommand } = require('@aws-sdk/client-s3');
-const { s3Client, R2_BUCKET, signPostMediaUrls, signSinglePostMedia } = require('../config/r2');
-const { processImage } = require('../utils/imageProcessor');
-const path = require('path');
-const crypto = require('crypto');
-
-// ─── Helper: batch lookup which posts the current user has liked ────────────
-async function getLikedPostIds(userId, postIds) {
-    if (!userId || postIds.length === 0) return new Set();
-    const likes = await Like.find({
-        user: userId,
-        post: { $in: postIds }
-    }).select('post').lean();
-    return new Set(likes.map(l => l.post.toString()));
-}
-
-// ─── Helper: attach like info to posts array ────────────────────────────────
-function attachLikeInfo(posts, likedSet) {
-    return posts.map(p => {
-        const postId = (p._id || p.id).toString();
-        return {
-            ...p,
-            likedByMe: likedSet.has(postId),
-            likesCount: p.likesCount || 0
-        };
-    });
-}
+const Comment = require('../models/Comment');
+const Activity = require('../models/Activity');
+const { signPostMediaUrls, signSinglePostMedia } = require('../config/r2');
+const {
+    parseMediaMeta,
+    uploadPostMediaFiles,
+    legacyMediaFields,
+    deletePostMedia
+} = require('../utils/postMedia');
+const { resolveUserPostStatus } = require('../utils/postModeration');
+const { announcePublishedPost } = require('../utils/postPublished');
+const { deletePostRevisions, listPostRevisions } = require('../utils/postRevisions');
+const { EMPLOYMENT_TYPES, WORKPLACE_TYPES } = require('../utils/jobFields');
+const {
+    getLikedPostIds,
+    attachLikeInfo,
+    getBookmarkedPostIds,
+    attachBookmarkInfo
+} = require('../utils/postViewerState');
+const { viewerKey, recordImpressions, recordView } = require('../utils/postStats');
+const { escapeRegex } = require('../utils/escapeRegex');
 
 // @desc    Get all posts
 // @route   GET /api/posts
@@ -38,6 +33,7 @@ const getPosts = async (req, res) => {
         const limit = parseInt(req.query.limit) || 10;
         const cursor = req.query.cursor;
 
+        // Only live posts — pending, scheduled and draft posts never reach the feed
         let query = { status: 'published' };
         if (cursor) {
             query.createdAt = { $lt: new Date(cursor) };
@@ -72,11 +68,17 @@ const getPosts = async (req, res) => {
             return post;
         }));
 
-        // Batch lookup: which posts has the current user liked? (avoids N+1)
+        // Batch lookup: which posts has the current user liked/bookmarked? (avoids N+1)
         const userId = req.user?._id;
         const postIds = fixedPosts.map(p => p._id);
-        const likedSet = await getLikedPostIds(userId, postIds);
-        const withLikes = attachLikeInfo(fixedPosts, likedSet);
+        const [likedSet, bookmarkedSet] = await Promise.all([
+            getLikedPostIds(userId, postIds),
+            getBookmarkedPostIds(userId, postIds)
+        ]);
+        const withLikes = attachBookmarkInfo(attachLikeInfo(fixedPosts, likedSet), bookmarkedSet);
+
+        // Impressions are buffered in Redis and flushed to Mongo by jobs/postStatsFlushJob
+        recordImpressions(req.app.get('redis'), postIds);
 
         // Sign R2 media URLs
         const signedPosts = await signPostMediaUrls(withLikes);
@@ -91,6 +93,195 @@ const getPosts = async (req, res) => {
     }
 };
 
+// ─── Helper: split a comma-separated query param into allowed values ────────
+function parseListParam(value, allowed) {
+    if (!value) return [];
+    return String(value).split(',').map(v => v.trim()).filter(v => allowed.includes(v));
+}
+
+// Posted-within windows accepted by /search, in milliseconds
+const POSTED_WITHIN = {
+    '24h': 24 * 60 * 60 * 1000,
+    '7d': 7 * 24 * 60 * 60 * 1000,
+    '30d': 30 * 24 * 60 * 60 * 1000
+};
+
+// ─── Helper: build one $match clause per search filter ─────────────────────
+// Kept separate so each facet can be counted with every filter except its own.
+function buildSearchFilters(query) {
+    const filters = {};
+
+    const employmentTypes = parseListParam(query.employmentType, EMPLOYMENT_TYPES);
+    if (employmentTypes.length) {
+        filters.employmentType = { 'job.employmentType': { $in: employmentTypes } };
+    }
+
+    const workplaceTypes = query.remote === 'true'
+        ? ['remote']
+        : parseListParam(query.workplaceType, WORKPLACE_TYPES);
+    if (workplaceTypes.length) {
+        filters.workplaceType = { 'job.workplaceType': { $in: workplaceTypes } };
+    }
+
+    if (query.state) {
+        filters.state = { 'job.location.state': String(query.state).trim().toUpperCase() };
+    }
+
+    if (query.location) {
+        const pattern = new RegExp(escapeRegex(String(query.location).trim()), 'i');
+        filters.location = {
+            $or: [
+                { 'job.location.city': pattern },
+                { 'job.location.state': pattern },
+                { 'job.location.zip': pattern }
+            ]
+        };
+    }
+
+    // Salary ranges overlap when the post's max >= requested min and its min <= requested max
+    const salaryMin = parseFloat(query.salaryMin);
+    const salaryMax = parseFloat(query.salaryMax);
+    const salaryClauses = [];
+    if (Number.isFinite(salaryMin)) {
+        salaryClauses.push({ $or: [{ 'job.salary.max': { $gte: salaryMin } }, { 'job.salary.max': null, 'job.salary.min': { $gte: salaryMin } }] });
+    }
+    if (Number.isFinite(salaryMax)) {
+        salaryClauses.push({ 'job.salary.min': { $lte: salaryMax } });
+    }
+    if (salaryClauses.length) {
+        filters.salary = { $and: salaryClauses };
+    }
+
+    if (POSTED_WITHIN[query.postedWithin]) {
+        filters.postedWithin = { createdAt: { $gte: new Date(Date.now() - POSTED_WITHIN[query.postedWithin]) } };
+    }
+
+    return filters;
+}
+
+// ─── Helper: combine filter clauses, optionally leaving one out ─────────────
+function combineFilters(filters, exclude) {
+    const clauses = Object.keys(filters)
+        .filter(key => key !== exclude)
+        .map(key => filters[key]);
+    return clauses.length ? { $and: clauses } : {};
+}
+
+// ─── Helper: turn [{ _id, count }] into { value: count } ─────────────────────
+function toCountMap(buckets) {
+    const counts = {};
+    buckets.forEach(b => {
+        if (b._id !== null && b._id !== undefined) counts[b._id] = b.count;
+    });
+    return counts;
+}
+
+// @desc    Search published posts with filters and facet counts
+// @route   GET /api/posts/search
+// @access  Public (Optional Auth)
+const searchPosts = async (req, res) => {
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 10, 50);
+        const cursor = req.query.cursor;
+        const keyword = (req.query.q || '').trim();
+
+        // $text must live in the first $match stage of the facet pipeline
+        const baseQuery = { status: 'published' };
+        if (keyword) {
+            baseQuery.$text = { $search: keyword };
+        }
+
+        const filters = buildSearchFilters(req.query);
+        const now = Date.now();
+
+        const [facetResult] = await Post.aggregate([
+            { $match: baseQuery },
+            {
+                $facet: {
+                    employmentType: [
+                        { $match: combineFilters(filters, 'employmentType') },
+                        { $group: { _id: '$job.employmentType', count: { $sum: 1 } } }
+                    ],
+                    workplaceType: [
+                        { $match: combineFilters(filters, 'workplaceType') },
+                        { $group: { _id: '$job.workplaceType', count: { $sum: 1 } } }
+                    ],
+                    state: [
+                        { $match: combineFilters(filters, 'state') },
+                        { $group: { _id: '$job.location.state', count: { $sum: 1 } } },
+                        { $sort: { count: -1 } },
+                        { $limit: 50 }
+                    ],
+                    postedWithin: [
+                        { $match: combineFilters(filters, 'postedWithin') },
+                        {
+                            $group: {
+                                _id: null,
+                                '24h': { $sum: { $cond: [{ $gte: ['$createdAt', new Date(now - POSTED_WITHIN['24h'])] }, 1, 0] } },
+                                '7d': { $sum: { $cond: [{ $gte: ['$createdAt', new Date(now - POSTED_WITHIN['7d'])] }, 1, 0] } },
+                                '30d': { $sum: { $cond: [{ $gte: ['$createdAt', new Date(now - POSTED_WITHIN['30d'])] }, 1, 0] } }
+                            }
+                        }
+                    ],
+                    total: [
+                        { $match: combineFilters(filters) },
+                        { $count: 'count' }
+                    ]
+                }
+            }
+        ]);
+
+        const query = { ...baseQuery, ...combineFilters(filters) };
+        if (cursor) {
+            query.createdAt = { $lt: new Date(cursor) };
+        }
+
+        const posts = await Post.find(query)
+            .populate('user', 'username display_name avatar_url')
+            .sort({ createdAt: -1 })
+            .limit(limit + 1)
+            .lean();
+
+        const hasMore = posts.length > limit;
+        if (hasMore) {
+            posts.pop();
+        }
+        const nextCursor = posts.length > 0 ? posts[posts.length - 1].createdAt : null;
+
+        const userId = req.user?._id;
+        const postIds = posts.map(p => p._id);
+        const [likedSet, bookmarkedSet] = await Promise.all([
+            getLikedPostIds(userId, postIds),
+            getBookmarkedPostIds(userId, postIds)
+        ]);
+        const withLikes = attachBookmarkInfo(attachLikeInfo(posts, likedSet), bookmarkedSet);
+
+        // Sign R2 media URLs
+        const signedPosts = await signPostMediaUrls(withLikes);
+
+        const postedWithin = facetResult.postedWithin[0] || {};
+
+        res.status(200).json({
+            posts: signedPosts,
+            nextCursor,
+            hasMore,
+            total: facetResult.total[0]?.count || 0,
+            facets: {
+                employmentType: toCountMap(facetResult.employmentType),
+                workplaceType: toCountMap(facetResult.workplaceType),
+                state: toCountMap(facetResult.state),
+                postedWithin: {
+                    '24h': postedWithin['24h'] || 0,
+                    '7d': postedWithin['7d'] || 0,
+                    '30d': postedWithin['30d'] || 0
+                }
+            }
+        });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
 // @desc    Get user posts
 // @route   GET /api/posts/user/:id
 // @access  Public
@@ -99,7 +290,12 @@ const getUserPosts = async (req, res) => {
         const limit = parseInt(req.query.limit) || 10;
         const cursor = req.query.cursor;
 
-        let query = { user: req.params.id, status: 'published' };
+        // Authors also see their own posts that are waiting for (or failed) moderation
+        const isOwnProfile = req.user && req.user._id.toString() === req.params.id;
+        let query = {
+            user: req.params.id,
+            status: isOwnProfile ? { $in: ['published', 'pending', 'rejected'] } : 'published'
+        };
         if (cursor) {
             query.createdAt = { $lt: new Date(cursor) };
         }
@@ -118,8 +314,11 @@ const getUserPosts = async (req, res) => {
 
         const userId = req.user?._id;
         const postIds = posts.map(p => p._id);
-        const likedSet = await getLikedPostIds(userId, postIds);
-        const withLikes = attachLikeInfo(posts, likedSet);
+        const [likedSet, bookmarkedSet] = await Promise.all([
+            getLikedPostIds(userId, postIds),
+            getBookmarkedPostIds(userId, postIds)
+        ]);
+        const withLikes = attachBookmarkInfo(attachLikeInfo(posts, likedSet), bookmarkedSet);
 
         // Sign R2 media URLs
         const signedPosts = await signPostMediaUrls(withLikes);
@@ -138,75 +337,61 @@ const getUserPosts = async (req, res) => {
 // @route   POST /api/posts
 // @access  Private
 const createPost = async (req, res) => {
-    const { content } = req.body;
-    let image_url = null;
-    let video_url = null;
-
-    if (req.file) {
-        let body = req.file.buffer;
-        if (!body && req.file.stream) {
-            const chunks = [];
-            for await (const chunk of req.file.stream) chunks.push(chunk);
-            body = Buffer.concat(chunks);
-        }
-
-        let contentType = req.file.mimetype;
-        let ext = path.extname(req.file.originalname);
-
-        // Process images through sharp (resize, compress, convert to WebP)
-        if (!req.file.mimetype.startsWith('video/')) {
-            const processed = await processImage(body, req.file.mimetype);
-            body = processed.buffer;
-            contentType = processed.mimetype;
-            ext = processed.ext;
-        }
-
-        const key = `posts/${Date.now()}-${crypto.randomBytes(8).toString('hex')}${ext}`;
+    const content = typeof req.body.content === 'string' ? req.body.content.trim() : '';
 
-        await s3Client.send(new PutObjectCommand({
-            Bucket: R2_BUCKET,
-            Key: key,
-            Body: body,
-            ContentType: contentType,
-        }));
+    const files = req.files || [];
 
-        if (req.file.mimetype.startsWith('video/')) {
-            video_url = key;
-        } else {
-            image_url = key;
-        }
-    } else {
-        if (req.body.image_url) image_url = req.body.image_url;
-        if (req.body.video_url) video_url = req.body.video_url;
+    // Media comes only from the upload — never trust client-supplied R2 keys,
+    // deleting the post would otherwise delete someone else's object
+    if (!content && files.length === 0) {
+        return res.status(400).json({ message: 'Content or Media is required' });
     }
 
-    if (!content && !image_url && !video_url) {
-        return res.status(400).json({ message: 'Content or Media is required' });
+    const { meta, error: metaError } = parseMediaMeta(req.body.mediaMeta, files.length);
+    if (metaError) {
+        return res.status(400).json({ message: metaError });
     }
 
     try {
-        const post = await Post.create({
-            user: req.user.id,
-            content: content || "",
-            image_url,
-            video_url,
-        });
+        const status = await resolveUserPostStatus(req.user);
+        const media = await uploadPostMediaFiles(files, meta);
+
+        let post;
+        try {
+            post = await Post.create({
+                user: req.user._id,
+                userModel: 'User',
+                content,
+                media,
+                ...legacyMediaFields(media),
+                status,
+            });
+        } catch (err) {
+            // Nothing references the uploads yet — don't leave them orphaned in R2
+            await deletePostMedia({ media });
+            throw err;
+        }
 
         const populatedPost = await Post.findById(post._id).populate('user', 'username display_name avatar_url');
         const signedPost = await signSinglePostMedia(populatedPost);
 
         res.status(201).json(signedPost);
+
+        if (status === 'published') {
+            announcePublishedPost(post, req.app.get('io'));
+        }
     } catch (error) {
+        console.error('createPost error:', error);
         res.status(500).json({ message: error.message });
     }
 };
 
-// @desc    Delete a post
+// @desc    Delete a post with its comments, likes, bookmarks, activities and media
 // @route   DELETE /api/posts/:id
 // @access  Private
 const deletePost = async (req, res) => {
     try {
-        const post = await Post.findById(req.params.id);
+        const post = await Post.findById(req.params.id).select('user userModel image_url video_url media');
 
         if (!post) {
             return res.status(404).json({ message: 'Post not found' });
@@ -216,16 +401,24 @@ const deletePost = async (req, res) => {
             return res.status(401).json({ message: 'User not found' });
         }
 
-        if (post.user.toString() !== req.user.id) {
+        if (post.userModel !== 'User' || post.user.toString() !== req.user.id) {
             return res.status(401).json({ message: 'User not authorized' });
         }
 
-        // Clean up: remove all likes for this post
-        await Like.deleteMany({ post: post._id });
+        // Remove the post first so nothing new can attach to it, then clean up
         await post.deleteOne();
+        await Promise.all([
+            Like.deleteMany({ post: post._id }),
+            Bookmark.deleteMany({ post: post._id }),
+            Comment.deleteMany({ post_id: post._id }),
+            Activity.deleteMany({ post: post._id }),
+            deletePostMedia(post),
+            deletePostRevisions(post._id)
+        ]);
 
         res.status(200).json({ id: req.params.id });
     } catch (error) {
+        console.error('deletePost error:', error);
         res.status(500).json({ message: error.message });
     }
 };
@@ -312,6 +505,100 @@ const toggleLike = async (req, res) => {
     }
 };
 
+// @desc    Toggle bookmark on a post (save/unsave)
+// @route   POST /api/posts/:id/bookmark
+// @access  Private
+const toggleBookmark = async (req, res) => {
+    try {
+        const postId = req.params.id;
+        const userId = req.user._id;
+
+        const post = await Post.findById(postId).select('_id status');
+        if (!post) {
+            return res.status(404).json({ message: 'Post not found' });
+        }
+
+        // Try to remove existing bookmark (atomic: returns deleted doc or null)
+        const existing = await Bookmark.findOneAndDelete({ post: postId, user: userId });
+        if (existing) {
+            return res.status(200).json({ bookmarked: false });
+        }
+
+        // Unsaving always works; saving only for live posts (not pending, scheduled or draft)
+        if (post.status !== 'published') {
+            return res.status(404).json({ message: 'Post not found' });
+        }
+
+        try {
+            await Bookmark.create({ post: postId, user: userId });
+        } catch (err) {
+            // Concurrent double-save — the bookmark already exists
+            if (err.code !== 11000) throw err;
+        }
+
+        return res.status(200).json({ bookmarked: true });
+    } catch (error) {
+        if (error.kind === 'ObjectId') {
+            return res.status(404).json({ message: 'Post not found' });
+        }
+        console.error('toggleBookmark error:', error);
+        res.status(500).json({ message: 'Server error' });
+    }
+};
+
+// @desc    Get the current user's bookmarked posts
+// @route   GET /api/posts/bookmarks
+// @access  Private
+const getBookmarks = async (req, res) => {
+    try {
+        const limit = parseInt(req.query.limit) || 10;
+        const cursor = req.query.cursor;
+
+        let query = { user: req.user._id };
+        if (cursor) {
+            query.createdAt = { $lt: new Date(cursor) };
+        }
+
+        const bookmarks = await Bookmark.find(query)
+            .populate({
+                path: 'post',
+                // Posts sent back to moderation (or otherwise not live) drop out like deleted ones
+                match: { status: { $in: ['published', 'expired'] } },
+                populate: { path: 'user', select: 'username display_name avatar_url' }
+            })
+            .sort({ createdAt: -1 })
+            .limit(limit + 1)
+            .lean();
+
+        const hasMore = bookmarks.length > limit;
+        if (hasMore) {
+            bookmarks.pop();
+        }
+        // Cursor is the bookmark time, not the post time — list is ordered by when it was saved
+        const nextCursor = bookmarks.length > 0 ? bookmarks[bookmarks.length - 1].createdAt : null;
+
+        // Skip bookmarks whose post has since been deleted or hidden
+        const posts = bookmarks
+            .filter(b => b.post)
+            .map(b => ({ ...b.post, bookmarkedAt: b.createdAt }));
+
+        const postIds = posts.map(p => p._id);
+        const likedSet = await getLikedPostIds(req.user._id, postIds);
+        const withLikes = attachLikeInfo(posts, likedSet).map(p => ({ ...p, bookmarkedByMe: true }));
+
+        // Sign R2 media URLs
+        const signedPosts = await signPostMediaUrls(withLikes);
+
+        res.status(200).json({
+            posts: signedPosts,
+            nextCursor,
+            hasMore
+        });
+    } catch (error) {
+        res.status(500).json({ message: error.message });
+    }
+};
+
 // @desc    Get a single post by ID
 // @route   GET /api/posts/:id
 // @access  Public (Optional Auth)
@@ -321,7 +608,8 @@ const getPostById = async (req, res) => {
             .populate('user', 'username display_name avatar_url')
             .lean();
 
-        if (!post) {
+        // Drafts and scheduled posts stay invisible until they go live
+        if (!post || ['draft', 'scheduled'].includes(post.status)) {
             return res.status(404).json({ message: 'Post not found' });
         }
 
@@ -338,8 +626,13 @@ const getPostById = async (req, res) => {
         }
 
         const userId = req.user?._id;
-        const likedSet = await getLikedPostIds(userId, [post._id]);
-        const withLike = attachLikeInfo([post], likedSet)[0];
+        const [likedSet, bookmarkedSet] = await Promise.all([
+            getLikedPostIds(userId, [post._id]),
+            getBookmarkedPostIds(userId, [post._id])
+        ]);
+        const withLike = attachBookmarkInfo(attachLikeInfo([post], likedSet), bookmarkedSet)[0];
+
+        recordView(req.app.get('redis'), post._id.toString(), viewerKey(req));
 
         // Sign R2 media URLs
         const signedPost = await signPostMediaUrls([withLike]);
@@ -353,11 +646,42 @@ const getPostById = async (req, res) => {
     }
 };
 
+// @desc    Get earlier versions of a post, newest first
+// @route   GET /api/posts/:id/revisions
+// @access  Public (Optional Auth) — unpublished posts only for their author
+const getPostRevisions = async (req, res) => {
+    try {
+        const post = await Post.findById(req.params.id).select('user userModel status editedAt').lean();
+        if (!post) {
+            return res.status(404).json({ message: 'Post not found' });
+        }
+
+        const isAuthor = req.user && post.userModel === 'User' && post.user.toString() === req.user._id.toString();
+        if (post.status !== 'published' && !isAuthor) {
+            return res.status(404).json({ message: 'Post not found' });
+        }
+
+        res.status(200).json({
+            editedAt: post.editedAt,
+            ...await listPostRevisions(post._id, req.query)
+        });
+    } catch (error) {
+        if (error.kind === 'ObjectId') {
+            return res.status(404).json({ message: 'Post not found' });
+        }
+        res.status(500).json({ message: error.message });
+    }
+};
+
 module.exports = {
     getPosts,
+    searchPosts,
     getUserPosts,
     getPostById,
+    getPostRevisions,
     createPost,
     deletePost,
     toggleLike,
+    toggleBookmark,
+    getBookmarks,
 };
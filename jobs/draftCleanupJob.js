@@ -0,0 +1,53 @@
+const Post = require('../models/Post');
+const { deletePostMedia } = require('../utils/postMedia');
+
+const MAX_DRAFT_AGE_DAYS = parseInt(process.env.POST_DRAFT_MAX_AGE_DAYS) || 30;
+const SWEEP_INTERVAL_MS = parseInt(process.env.POST_DRAFT_CLEANUP_MS) || 60 * 60 * 1000; // 1 hour
+const BATCH_SIZE = 200;
+
+/**
+ * Delete drafts not saved for MAX_DRAFT_AGE_DAYS, together with their R2 media.
+ * Each delete re-checks status and age, so a draft autosaved or submitted
+ * mid-sweep is left alone.
+ * @returns {Promise<number>} Number of drafts removed in this sweep
+ */
+const cleanupAbandonedDrafts = async () => {
+    const cutoff = new Date(Date.now() - MAX_DRAFT_AGE_DAYS * 24 * 60 * 60 * 1000);
+    let removed = 0;
+
+    for (;;) {
+        const drafts = await Post.find({ status: 'draft', updatedAt: { $lt: cutoff } })
+            .select('image_url video_url media')
+            .limit(BATCH_SIZE)
+            .lean();
+
+        for (const draft of drafts) {
+            const result = await Post.deleteOne({ _id: draft._id, status: 'draft', updatedAt: { $lt: cutoff } });
+            if (result.deletedCount > 0) {
+                await deletePostMedia(draft);
+                removed++;
+            }
+        }
+
+        if (drafts.length < BATCH_SIZE) break;
+    }
+
+    if (removed > 0) {
+        console.log(`[DraftCleanup] Removed ${removed} abandoned draft(s)`);
+    }
+    return removed;
+};
+
+/**
+ * Start the background sweeper loop
+ */
+const startDraftCleanupJob = () => {
+    const run = () => cleanupAbandonedDrafts().catch((err) => {
+        console.error('[DraftCleanup] Sweep error:', err.message);
+    });
+
+    run();
+    return setInterval(run, SWEEP_INTERVAL_MS);
+};
+
+module.exports = { cleanupAbandonedDrafts, startDraftCleanupJob };
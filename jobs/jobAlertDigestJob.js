@@ -0,0 +1,64 @@
+const JobAlert = require('../models/JobAlert');
+const Post = require('../models/Post');
+const { createJobAlertActivity } = require('../utils/jobAlerts');
+
+const DIGEST_CHECK_INTERVAL_MS = parseInt(process.env.JOB_ALERT_DIGEST_CHECK_MS) || 60 * 60 * 1000; // 1 hour
+const DIGEST_PERIOD_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Deliver queued matches for every daily alert whose last digest is at least a day old.
+ * Each alert is claimed atomically so concurrent instances never send the same digest twice.
+ * @param {object} io - Socket.IO server
+ * @returns {Promise<number>} Number of digests sent
+ */
+const sendDailyDigests = async (io) => {
+    let sent = 0;
+
+    while (true) {
+        const cutoff = new Date(Date.now() - DIGEST_PERIOD_MS);
+
+        // Claim one due alert and take its queue in the same write
+        const alert = await JobAlert.findOneAndUpdate(
+            {
+                isActive: true,
+                frequency: 'daily',
+                'pendingPosts.0': { $exists: true },
+                $or: [{ lastNotifiedAt: null }, { lastNotifiedAt: { $lte: cutoff } }],
+            },
+            { $set: { pendingPosts: [], lastNotifiedAt: new Date() } },
+            { new: false }
+        ).lean();
+
+        if (!alert) break;
+
+        // Skip matches that were unpublished or expired while queued
+        const posts = await Post.find({ _id: { $in: alert.pendingPosts }, status: 'published' })
+            .select('_id user userModel')
+            .lean();
+
+        for (const post of posts) {
+            await createJobAlertActivity(io, alert, post);
+        }
+        sent++;
+    }
+
+    if (sent > 0) {
+        console.log(`[JobAlerts] Sent ${sent} daily digest(s)`);
+    }
+    return sent;
+};
+
+/**
+ * Start the daily digest loop
+ * @param {object} io - Socket.IO server
+ */
+const startJobAlertDigestJob = (io) => {
+    const run = () => sendDailyDigests(io).catch((err) => {
+        console.error('[JobAlerts] Digest error:', err.message);
+    });
+
+    run();
+    return setInterval(run, DIGEST_CHECK_INTERVAL_MS);
+};
+
+module.exports = { sendDailyDigests, startJobAlertDigestJob };
@@ -0,0 +1,33 @@
+const Post = require('../models/Post');
+
+const SWEEP_INTERVAL_MS = parseInt(process.env.POST_EXPIRY_SWEEP_MS) || 5 * 60 * 1000; // 5 minutes
+
+/**
+ * Move every published post whose expiresAt has passed to `expired`.
+ * Safe to run on every instance at once — the update is idempotent.
+ * @returns {Promise<number>} Number of posts expired in this sweep
+ */
+const expireDuePosts = async () => {
+    const result = await Post.updateMany(
+        { status: 'published', expiresAt: { $ne: null, $lte: new Date() } },
+        { $set: { status: 'expired' } }
+    );
+    if (result.modifiedCount > 0) {
+        console.log(`[PostExpiry] Expired ${result.modifiedCount} post(s)`);
+    }
+    return result.modifiedCount;
+};
+
+/**
+ * Start the background sweeper loop
+ */
+const startPostExpiryJob = () => {
+    const run = () => expireDuePosts().catch((err) => {
+        console.error('[PostExpiry] Sweep error:', err.message);
+    });
+
+    run();
+    return setInterval(run, SWEEP_INTERVAL_MS);
+};
+
+module.exports = { expireDuePosts, startPostExpiryJob };
@@ -0,0 +1,50 @@
+const Post = require('../models/Post');
+const { announcePublishedPost } = require('../utils/postPublished');
+
+const POLL_INTERVAL_MS = parseInt(process.env.POST_SCHEDULER_POLL_MS) || 60 * 1000; // 1 minute
+
+/**
+ * Publish every scheduled post whose publishAt has passed. Only posts that
+ * already cleared moderation (or came from level-2 admins) are ever `scheduled`.
+ * Posts are claimed one at a time with an atomic update, so concurrent
+ * instances never announce the same post twice.
+ * @param {object} io - Socket.IO server
+ * @returns {Promise<number>} Number of posts published in this run
+ */
+const publishDuePosts = async (io) => {
+    let published = 0;
+
+    for (;;) {
+        const now = new Date();
+        // createdAt moves to the go-live moment so the post lands on top of the feed
+        const post = await Post.findOneAndUpdate(
+            { status: 'scheduled', publishAt: { $lte: now } },
+            { $set: { status: 'published', createdAt: now } },
+            { new: true, sort: { publishAt: 1 }, overwriteImmutable: true }
+        );
+        if (!post) break;
+
+        published++;
+        announcePublishedPost(post, io);
+    }
+
+    if (published > 0) {
+        console.log(`[PostScheduler] Published ${published} scheduled post(s)`);
+    }
+    return published;
+};
+
+/**
+ * Start the background scheduler loop
+ * @param {object} io - Socket.IO server
+ */
+const startPostSchedulerJob = (io) => {
+    const run = () => publishDuePosts(io).catch((err) => {
+        console.error('[PostScheduler] Run error:', err.message);
+    });
+
+    run();
+    return setInterval(run, POLL_INTERVAL_MS);
+};
+
+module.exports = { publishDuePosts, startPostSchedulerJob };
@@ -0,0 +1,247 @@
+const crypto = require('crypto');
+const Post = require('../models/Post');
+const PostDailyStat = require('../models/PostDailyStat');
+const { COUNTERS_KEY, UV_DIRTY_KEY } = require('../utils/postStats');
+
+const FLUSH_INTERVAL_MS = parseInt(process.env.POST_STATS_FLUSH_MS) || 60 * 1000; // 1 minute
+// Post.stats increments whose PostDailyStat rows are already written — retried without touching the daily rows
+const TOTALS_PENDING_KEY = 'post_stats:totals_pending';
+// A claimed key older than this belongs to an instance that died mid-flush
+const ORPHANED_CLAIM_MS = 5 * 60 * 1000;
+
+// Add every field of a claimed hash back into the live hash and drop it, atomically,
+// so two instances recovering the same orphan cannot both add it back
+const RESTORE_HASH_SCRIPT = `
+local fields = redis.call('HGETALL', KEYS[1])
+for i = 1, #fields, 2 do
+    redis.call('HINCRBY', KEYS[2], fields[i], fields[i + 1])
+end
+redis.call('DEL', KEYS[1])
+return #fields / 2
+`;
+
+/**
+ * Atomically take ownership of a Redis key by renaming it. Concurrent
+ * instances race on RENAME; the loser sees "no such key" and gets null.
+ * The claim time is part of the name so orphaned claims can be recognised.
+ */
+const claimKey = async (redis, key) => {
+    const claimed = `${key}:flushing:${Date.now()}:${crypto.randomBytes(6).toString('hex')}`;
+    try {
+        await redis.rename(key, claimed);
+        return claimed;
+    } catch (err) {
+        if (/no such key/i.test(err.message)) return null;
+        throw err;
+    }
+};
+
+/**
+ * Indexes of the operations an unordered bulkWrite did not apply.
+ * Errors without per-operation detail are treated as nothing applied.
+ */
+const failedOps = (err, count) => (Array.isArray(err.writeErrors)
+    ? new Set(err.writeErrors.map(writeError => writeError.index))
+    : new Set(Array.from({ length: count }, (_, i) => i)));
+
+/**
+ * Move impression/view counters from Redis into PostDailyStat and Post.stats.
+ * On a Mongo failure only the operations that were not applied are added back:
+ * daily counts to the counters hash, totals to the pending-totals hash.
+ */
+const flushCounters = async (redis) => {
+    const claimed = await claimKey(redis, COUNTERS_KEY);
+    const claimedTotals = await claimKey(redis, TOTALS_PENDING_KEY);
+    if (!claimed && !claimedTotals) return 0;
+
+    const counters = claimed ? await redis.hgetall(claimed) : {};
+    const pendingTotals = claimedTotals ? await redis.hgetall(claimedTotals) : {};
+    const daily = new Map();
+    const totals = new Map();
+
+    const addTotal = (postId, type, count) => {
+        const total = totals.get(postId) || { impressions: 0, views: 0 };
+        total[type === 'i' ? 'impressions' : 'views'] += count;
+        totals.set(postId, total);
+    };
+
+    Object.entries(counters).forEach(([field, value]) => {
+        const [postId, day, type] = field.split(':');
+        const dailyEntry = daily.get(`${postId}:${day}`) || { postId, day, impressions: 0, views: 0 };
+        dailyEntry[type === 'i' ? 'impressions' : 'views'] += parseInt(value) || 0;
+        daily.set(`${postId}:${day}`, dailyEntry);
+    });
+
+    const restore = redis.multi();
+    let error = null;
+
+    const dailyEntries = [...daily.values()];
+    let dailyFailed = new Set();
+    if (dailyEntries.length > 0) {
+        try {
+            await PostDailyStat.bulkWrite(dailyEntries.map(({ postId, day, impressions, views }) => ({
+                updateOne: {
+                    filter: { post: postId, date: new Date(`${day}T00:00:00Z`) },
+                    update: { $inc: { impressions, views } },
+                    upsert: true
+                }
+            })), { ordered: false });
+        } catch (err) {
+            error = err;
+            dailyFailed = failedOps(err, dailyEntries.length);
+        }
+    }
+
+    // Totals only follow daily rows that were written; the rest go back to be flushed whole next time
+    dailyEntries.forEach(({ postId, day, impressions, views }, i) => {
+        if (dailyFailed.has(i)) {
+            if (impressions) restore.hincrby(COUNTERS_KEY, `${postId}:${day}:i`, impressions);
+            if (views) restore.hincrby(COUNTERS_KEY, `${postId}:${day}:v`, views);
+            return;
+        }
+        addTotal(postId, 'i', impressions);
+        addTotal(postId, 'v', views);
+    });
+    Object.entries(pendingTotals).forEach(([field, value]) => {
+        const [postId, type] = field.split(':');
+        addTotal(postId, type, parseInt(value) || 0);
+    });
+
+    const totalEntries = [...totals.entries()];
+    if (totalEntries.length > 0) {
+        try {
+            await Post.bulkWrite(totalEntries.map(([postId, { impressions, views }]) => ({
+                updateOne: {
+                    filter: { _id: postId },
+                    update: { $inc: { 'stats.impressions': impressions, 'stats.views': views } }
+                }
+            })), { ordered: false });
+        } catch (err) {
+            error = error || err;
+            const totalsFailed = failedOps(err, totalEntries.length);
+            totalEntries.forEach(([postId, { impressions, views }], i) => {
+                if (!totalsFailed.has(i)) return;
+                if (impressions) restore.hincrby(TOTALS_PENDING_KEY, `${postId}:i`, impressions);
+                if (views) restore.hincrby(TOTALS_PENDING_KEY, `${postId}:v`, views);
+            });
+        }
+    }
+
+    if (claimed) restore.del(claimed);
+    if (claimedTotals) restore.del(claimedTotals);
+    await restore.exec();
+
+    if (error) throw error;
+    return daily.size;
+};
+
+/**
+ * Hand claimed keys left behind by an instance that died mid-flush back to
+ * their live keys, so the next flush picks the counts up. A crash after the
+ * Mongo writes but before the claim was deleted can therefore count a batch twice;
+ * dropping it would lose the batch instead.
+ */
+const recoverOrphanedClaims = async (redis) => {
+    const cutoff = Date.now() - ORPHANED_CLAIM_MS;
+
+    for (const key of [COUNTERS_KEY, TOTALS_PENDING_KEY, UV_DIRTY_KEY]) {
+        const orphaned = [];
+        const stream = redis.scanStream({ match: `${key}:flushing:*`, count: 100 });
+        for await (const claimedKeys of stream) {
+            claimedKeys.forEach((claimed) => {
+                // Claims made before the timestamp was added to the name parse as NaN and are always orphaned
+                const claimedAt = parseInt(claimed.slice(`${key}:flushing:`.length));
+                if (!(claimedAt > cutoff)) orphaned.push(claimed);
+            });
+        }
+
+        for (const claimed of orphaned) {
+            if (key === UV_DIRTY_KEY) {
+                // Re-marking a post/day dirty is idempotent — $max absorbs a repeat
+                await redis.multi().sunionstore(key, key, claimed).del(claimed).exec();
+            } else {
+                await redis.eval(RESTORE_HASH_SCRIPT, 2, claimed, key);
+            }
+            console.warn(`[PostStats] Recovered orphaned flush key ${claimed}`);
+        }
+    }
+};
+
+/**
+ * Copy unique-viewer estimates (HyperLogLog counts) for every post/day
+ * touched since the last run. Uses $max so a re-run never lowers a count.
+ */
+const flushUniqueViewers = async (redis) => {
+    const claimed = await claimKey(redis, UV_DIRTY_KEY);
+    if (!claimed) return 0;
+
+    const members = await redis.smembers(claimed);
+    const pipeline = redis.pipeline();
+    members.forEach((member) => {
+        const [postId, day] = member.split(':');
+        pipeline.pfcount(`post_stats:uv:${postId}:${day}`);
+        pipeline.pfcount(`post_stats:uv:${postId}`);
+    });
+    const results = await pipeline.exec();
+
+    const dailyOps = [];
+    const totalOps = [];
+    members.forEach((member, i) => {
+        const [postId, day] = member.split(':');
+        const dailyCount = results[i * 2][1] || 0;
+        const totalCount = results[i * 2 + 1][1] || 0;
+
+        dailyOps.push({
+            updateOne: {
+                filter: { post: postId, date: new Date(`${day}T00:00:00Z`) },
+                update: { $max: { uniqueViewers: dailyCount } },
+                upsert: true
+            }
+        });
+        totalOps.push({
+            updateOne: {
+                filter: { _id: postId },
+                update: { $max: { 'stats.uniqueViewers': totalCount } }
+            }
+        });
+    });
+
+    try {
+        if (dailyOps.length > 0) {
+            await PostDailyStat.bulkWrite(dailyOps, { ordered: false });
+            await Post.bulkWrite(totalOps, { ordered: false });
+        }
+    } catch (err) {
+        if (members.length > 0) await redis.sadd(UV_DIRTY_KEY, ...members);
+        await redis.del(claimed);
+        throw err;
+    }
+
+    await redis.del(claimed);
+    return members.length;
+};
+
+/**
+ * Flush all buffered post analytics from Redis to Mongo
+ * @param {object} redis - ioredis client
+ */
+const flushPostStats = async (redis) => {
+    await recoverOrphanedClaims(redis);
+    await flushCounters(redis);
+    await flushUniqueViewers(redis);
+};
+
+/**
+ * Start the periodic flush loop
+ * @param {object} redis - ioredis client
+ */
+const startPostStatsFlushJob = (redis) => {
+    const run = () => flushPostStats(redis).catch((err) => {
+        console.error('[PostStats] Flush error:', err.message);
+    });
+
+    run();
+    return setInterval(run, FLUSH_INTERVAL_MS);
+};
+
+module.exports = { flushPostStats, startPostStatsFlushJob };
@@ -0,0 +1,147 @@
+const InterestedApplication = require('../models/InterestedApplication');
+const { getDecompressedObjectStream } = require('../config/r2');
+const { isExtractable, extractText } = require('../utils/resumeText');
+
+const POLL_INTERVAL_MS = parseInt(process.env.RESUME_EXTRACTION_POLL_MS) || 60 * 1000; // 1 minute
+const STALE_CLAIM_MS = 10 * 60 * 1000; // re-claim work from crashed instances after 10 minutes
+const MAX_ATTEMPTS = 3;
+const RETRY_BACKOFF_MS = 5 * 60 * 1000; // doubled after each failed attempt
+
+let running = false;
+
+const streamToBuffer = async (stream) => {
+    const chunks = [];
+    for await (const chunk of stream) chunks.push(chunk);
+    return Buffer.concat(chunks);
+};
+
+/**
+ * Atomically claim one application whose documents still need text extraction.
+ * Applications created before extraction existed have no textExtraction at all and count as pending.
+ */
+const claimNext = () => InterestedApplication.findOneAndUpdate(
+    {
+        // Documents are saved after the R2 uploads finish — skip applications still mid-submit
+        'documents.0': { $exists: true },
+        // $not also matches a missing field
+        'textExtraction.attempts': { $not: { $gte: MAX_ATTEMPTS } },
+        $or: [
+            { textExtraction: { $exists: false } },
+            {
+                'textExtraction.status': 'pending',
+                'textExtraction.nextAttemptAt': { $not: { $gt: new Date() } },
+            },
+            {
+                'textExtraction.status': 'processing',
+                'textExtraction.startedAt': { $lte: new Date(Date.now() - STALE_CLAIM_MS) }
+            },
+        ],
+    },
+    {
+        $set: { 'textExtraction.status': 'processing', 'textExtraction.startedAt': new Date() },
+        $inc: { 'textExtraction.attempts': 1 },
+    },
+    { new: true, sort: { createdAt: 1 } }
+).select('documents textExtraction').lean();
+
+/**
+ * Give up on applications whose last attempt crashed or hung the worker: claimNext
+ * never re-claims them once attempts are used up, so they would stay 'processing'
+ */
+const failAbandonedClaims = () => InterestedApplication.updateMany(
+    {
+        'textExtraction.status': 'processing',
+        'textExtraction.attempts': { $gte: MAX_ATTEMPTS },
+        'textExtraction.startedAt': { $lte: new Date(Date.now() - STALE_CLAIM_MS) },
+    },
+    {
+        $set: {
+            'textExtraction.status': 'failed',
+            'textExtraction.error': 'Extraction did not finish',
+        },
+    }
+);
+
+/**
+ * Extract text from one claimed application's PDF/DOCX documents and store it
+ */
+const processApplication = async (application) => {
+    try {
+        const parts = [];
+        for (const document of application.documents || []) {
+            if (!isExtractable(document.mimeType)) continue;
+            const buffer = await streamToBuffer(await getDecompressedObjectStream(document.r2Key));
+            const text = await extractText(buffer, document.mimeType);
+            if (text) parts.push(text);
+        }
+
+        await InterestedApplication.updateOne(
+            { _id: application._id },
+            {
+                $set: {
+                    resumeText: parts.join('\n\n'),
+                    'textExtraction.status': 'done',
+                    'textExtraction.error': null,
+                },
+            }
+        );
+    } catch (err) {
+        const { attempts } = application.textExtraction;
+        const failed = attempts >= MAX_ATTEMPTS;
+        console.error(`[ResumeExtraction] ${application._id} attempt ${attempts} failed:`, err.message);
+        await InterestedApplication.updateOne(
+            { _id: application._id },
+            {
+                $set: {
+                    'textExtraction.status': failed ? 'failed' : 'pending',
+                    // Keeps the drain loop from immediately re-claiming the same application
+                    'textExtraction.nextAttemptAt': failed ? null : new Date(Date.now() + RETRY_BACKOFF_MS * 2 ** (attempts - 1)),
+                    'textExtraction.error': err.message.slice(0, 500),
+                },
+            }
+        );
+    }
+};
+
+/**
+ * Drain the extraction queue. Only one drain runs per process at a time.
+ * @returns {Promise<number>} Number of applications processed
+ */
+const processPendingExtractions = async () => {
+    if (running) return 0;
+    running = true;
+    let processed = 0;
+    try {
+        await failAbandonedClaims();
+
+        let application;
+        while ((application = await claimNext())) {
+            await processApplication(application);
+            processed++;
+        }
+    } finally {
+        running = false;
+    }
+    return processed;
+};
+
+/**
+ * Kick the queue right away (e.g. after a new submission) without waiting for the next poll
+ */
+const triggerResumeExtraction = () => {
+    setImmediate(() => {
+        processPendingExtractions().catch((err) => {
+            console.error('[ResumeExtraction] Run error:', err.message);
+        });
+    });
+};
+
+/**
+ * Start the background polling loop
+ */
+const startResumeExtractionJob = () => {
+    triggerResumeExtraction();
+    return setInterval(triggerResumeExtraction, POLL_INTERVAL_MS);
+};
+
+module.exports = { processPendingExtractions, triggerResumeExtraction, startResumeExtractionJob };
@@ -42,4 +42,18 @@ const decodeToken = (req, res, next) => {
     next();
 };
 
-module.exports = { protect, decodeToken };
+// Optional auth: attach req.user if a valid token is present, but don't block
+const optionalAuth = async (req, res, next) => {
+    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
+        try {
+            const token = req.headers.authorization.split(' ')[1];
+            const decoded = jwt.verify(token, process.env.JWT_SECRET);
+            req.user = await User.findById(decoded.id).select('-password');
+        } catch (_) {
+            // Invalid token — proceed as unauthenticated
+        }
+    }
+    next();
+};
+
+module.exports = { protect, decodeToken, optionalAuth };
@@ -4,6 +4,9 @@ const path = require('path');
 // Size limits per media type
 const IMAGE_MAX_SIZE = 10 * 1024 * 1024; // 10 MB
 const VIDEO_MAX_SIZE = 25 * 1024 * 1024; // 25 MB
+const MAX_MEDIA_FILES = parseInt(process.env.POST_MAX_MEDIA_FILES) || 10; // per post
+const MAX_MEDIA_VIDEOS = parseInt(process.env.POST_MAX_MEDIA_VIDEOS) || 2; // per post
+const MAX_MEDIA_TOTAL_SIZE = (parseInt(process.env.POST_MAX_MEDIA_TOTAL_MB) || 60) * 1024 * 1024; // whole request
 
 // Use memory storage — file stays in buffer, uploaded to R2 in the controller
 const storage = multer.memoryStorage();
@@ -17,6 +20,26 @@ const upload = multer({
     }
 });
 
+// Gallery upload — every file is buffered in memory, so cap the file count and
+// the number of videos while the stream is parsed rather than after it is held
+const mediaUpload = multer({
+    storage: storage,
+    limits: { fileSize: VIDEO_MAX_SIZE, files: MAX_MEDIA_FILES },
+    fileFilter: function (req, file, cb) {
+        // multer attaches file.stream once accepted — limitTotalSize ends it on overflow
+        (req.mediaUploadFiles = req.mediaUploadFiles || []).push(file);
+        if (file.mimetype.startsWith('video/')) {
+            req.mediaVideoCount = (req.mediaVideoCount || 0) + 1;
+            if (req.mediaVideoCount > MAX_MEDIA_VIDEOS) {
+                const err = new Error(`Up to ${MAX_MEDIA_VIDEOS} videos per post`);
+                err.code = 'LIMIT_VIDEO_COUNT';
+                return cb(err);
+            }
+        }
+        checkFileType(file, cb);
+    }
+});
+
 // Check file type
 function checkFileType(file, cb) {
     // Allowed ext
@@ -60,4 +83,72 @@ const uploadWithSizeCheck = (fieldName) => {
     };
 };
 
-module.exports = uploadWithSizeCheck;
+/**
+ * Abort a gallery upload once the request body passes MAX_MEDIA_TOTAL_SIZE.
+ * Counts the bytes actually read, so chunked uploads are capped as well.
+ * multer aborts on a request error but waits for files in flight, so those are ended too.
+ */
+const limitTotalSize = (req) => {
+    let received = 0;
+    const onData = (chunk) => {
+        received += chunk.length;
+        if (received <= MAX_MEDIA_TOTAL_SIZE) return;
+        req.removeListener('data', onData);
+
+        const err = new Error(`Media uploads are limited to ${MAX_MEDIA_TOTAL_SIZE / (1024 * 1024)} MB per post`);
+        err.code = 'LIMIT_TOTAL_SIZE';
+        req.emit('error', err);
+        (req.mediaUploadFiles || []).forEach((file) => {
+            if (file.stream && !file.stream.readableEnded) file.stream.destroy(err);
+        });
+    };
+    req.on('data', onData);
+};
+
+/**
+ * Multi-file variant for post media galleries: up to MAX_MEDIA_FILES files
+ * (at most MAX_MEDIA_VIDEOS of them videos) under one field, in the order sent,
+ * with the same per-type size limits and MAX_MEDIA_TOTAL_SIZE for the whole request.
+ */
+const uploadMediaFiles = (fieldName) => {
+    return (req, res, next) => {
+        const isMultipart = req.is('multipart/form-data');
+        // A declared length over the cap is refused before anything is read
+        if (isMultipart && parseInt(req.headers['content-length']) > MAX_MEDIA_TOTAL_SIZE) {
+            return res.status(413).json({ message: `Media uploads are limited to ${MAX_MEDIA_TOTAL_SIZE / (1024 * 1024)} MB per post` });
+        }
+
+        mediaUpload.array(fieldName, MAX_MEDIA_FILES)(req, res, (err) => {
+            if (err) {
+                if (err.code === 'LIMIT_FILE_SIZE') {
+                    return res.status(413).json({ message: 'File too large. Max 10 MB for images, 25 MB for videos.' });
+                }
+                if (err.code === 'LIMIT_TOTAL_SIZE') {
+                    return res.status(413).json({ message: err.message });
+                }
+                if (err.code === 'LIMIT_FILE_COUNT') {
+                    return res.status(400).json({ message: `Up to ${MAX_MEDIA_FILES} media files per post` });
+                }
+                if (err.code === 'LIMIT_UNEXPECTED_FILE') {
+                    return res.status(400).json({ message: `Unexpected file field "${err.field}". Send media files as "${fieldName}"` });
+                }
+                if (err.code === 'LIMIT_VIDEO_COUNT') {
+                    return res.status(400).json({ message: err.message });
+                }
+                return res.status(400).json({ message: err.message || err });
+            }
+
+            const oversized = (req.files || []).find(file => !file.mimetype.startsWith('video/') && file.size > IMAGE_MAX_SIZE);
+            if (oversized) {
+                return res.status(413).json({ message: `Image too large. Max size is ${IMAGE_MAX_SIZE / (1024 * 1024)} MB.` });
+            }
+
+            next();
+        });
+
+        // multer has piped the request by now; count alongside it
+        if (isMultipart) limitTotalSize(req);
+    };
+};
+
+module.exports = { uploadWithSizeCheck, uploadMediaFiles };
@@ -8,12 +8,19 @@ const activitySchema = new mongoose.Schema({
     },
     actor: {
         type: mongoose.Schema.Types.ObjectId,
-        ref: 'User',
+        // Legacy activities have no actorModel — treat them as User actors
+        ref: function () { return this.actorModel || 'User'; },
         required: true,
     },
+    // Admin-authored events (job alerts, application updates) may reference the Admin collection
+    actorModel: {
+        type: String,
+        enum: ['User', 'Admin'],
+        default: 'User',
+    },
     type: {
         type: String,
-        enum: ['LIKE', 'COMMENT', 'FOLLOW'],
+        enum: ['LIKE', 'COMMENT', 'FOLLOW', 'JOB_ALERT', 'APPLICATION_STATUS', 'INTERVIEW', 'COMPANY_POST'],
         required: true,
     },
     post: {
@@ -24,6 +31,33 @@ const activitySchema = new mongoose.Schema({
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Comment',
     },
+    alert: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'JobAlert',
+    },
+    application: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'InterestedApplication',
+    },
+    interview: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Interview',
+    },
+    // COMPANY_POST: the followed company that published the post
+    company: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Company',
+    },
+    // APPLICATION_STATUS: the new status; INTERVIEW: proposed/scheduled/rescheduled/cancelled.
+    // Either may carry the admin's optional note to the applicant
+    status: {
+        type: String,
+    },
+    message: {
+        type: String,
+        trim: true,
+        maxlength: 1000,
+    },
     isRead: {
         type: Boolean,
         default: false,
@@ -0,0 +1,74 @@
+const mongoose = require('mongoose');
+
+// A resume/document kept in the applicant's library, stored gzip-compressed in R2
+const savedDocumentSchema = new mongoose.Schema({
+    originalName: {
+        type: String,
+        required: true,
+        trim: true,
+    },
+    mimeType: {
+        type: String,
+        required: true,
+        trim: true,
+    },
+    r2Key: {
+        type: String,
+        required: true,
+        trim: true,
+    },
+    originalSize: {
+        type: Number,
+        required: true,
+        min: 0,
+    },
+    compressedSize: {
+        type: Number,
+        required: true,
+        min: 0,
+    },
+}, { timestamps: true });
+
+const applicantProfileSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        unique: true,
+    },
+    fullName: {
+        type: String,
+        default: '',
+        trim: true,
+    },
+    email: {
+        type: String,
+        default: '',
+        trim: true,
+        lowercase: true,
+    },
+    phone: {
+        type: String,
+        default: '',
+        trim: true,
+    },
+    location: {
+        type: String,
+        default: '',
+        trim: true,
+    },
+    coverLetter: {
+        type: String,
+        default: '',
+        trim: true,
+        maxlength: 5000,
+    },
+    documents: {
+        type: [savedDocumentSchema],
+        default: [],
+    },
+}, {
+    timestamps: true,
+});
+
+module.exports = mongoose.model('ApplicantProfile', applicantProfileSchema);
@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+const bookmarkSchema = mongoose.Schema({
+    post: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Post',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// ── Indexes ──────────────────────────────────────────────────────────────────
+// One bookmark per user per post — concurrent toggles hit E11000 instead of duplicating
+bookmarkSchema.index({ post: 1, user: 1 }, { unique: true });
+
+// "My saved jobs" list, newest first, cursor-paginated on createdAt
+bookmarkSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Bookmark', bookmarkSchema);
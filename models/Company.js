@@ -0,0 +1,104 @@
+const mongoose = require('mongoose');
+const { COMPANY_ROLES } = require('../utils/companyAccess');
+
+const companyMemberSchema = new mongoose.Schema({
+    admin: {
+        type: mongoose.Schema.Types.ObjectId,
+        refPath: 'members.adminModel',
+        required: true
+    },
+    adminModel: {
+        type: String,
+        enum: ['User', 'Admin'],
+        default: 'Admin'
+    },
+    role: {
+        type: String,
+        enum: COMPANY_ROLES,
+        default: 'recruiter'
+    },
+    addedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+const companyLocationSchema = new mongoose.Schema({
+    city: { type: String, trim: true, maxlength: 120, default: null },
+    state: { type: String, trim: true, maxlength: 120, default: null },
+    country: { type: String, trim: true, maxlength: 120, default: null }
+}, { _id: false });
+
+const companySchema = mongoose.Schema({
+    name: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 120
+    },
+    // URL-safe identifier, unique across companies
+    slug: {
+        type: String,
+        required: true,
+        unique: true,
+        lowercase: true,
+        trim: true
+    },
+    // R2 object key, signed on the way out
+    logo: {
+        type: String,
+        default: null
+    },
+    description: {
+        type: String,
+        trim: true,
+        maxlength: 5000,
+        default: ''
+    },
+    website: {
+        type: String,
+        trim: true,
+        maxlength: 300,
+        default: ''
+    },
+    locations: {
+        type: [companyLocationSchema],
+        default: []
+    },
+    members: {
+        type: [companyMemberSchema],
+        default: []
+    },
+    // Denormalized from CompanyFollow
+    followersCount: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        refPath: 'createdByModel',
+        required: true
+    },
+    createdByModel: {
+        type: String,
+        enum: ['User', 'Admin'],
+        default: 'Admin'
+    }
+}, {
+    timestamps: true
+});
+
+companySchema.index({ 'members.admin': 1 });
+companySchema.index({ name: 1 });
+
+/**
+ * Find the membership entry of an admin (req.admin), if any
+ * @param {object} admin
+ * @returns {object|undefined}
+ */
+companySchema.methods.getMember = function (admin) {
+    return this.members.find(member => member.admin.toString() === admin._id.toString());
+};
+
+module.exports = mongoose.model('Company', companySchema);
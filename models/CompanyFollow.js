@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+const companyFollowSchema = mongoose.Schema({
+    company: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Company',
+        required: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    }
+}, {
+    timestamps: true
+});
+
+// ── Indexes ──────────────────────────────────────────────────────────────────
+// One follow per user per company — concurrent toggles hit E11000 instead of duplicating
+companyFollowSchema.index({ company: 1, user: 1 }, { unique: true });
+
+// "Companies I follow" list, newest first
+companyFollowSchema.index({ user: 1, createdAt: -1 });
+
+module.exports = mongoose.model('CompanyFollow', companyFollowSchema);
@@ -28,6 +28,112 @@ const interestedDocumentSchema = new mongoose.Schema({
     },
 }, { _id: false });
 
+const statusHistorySchema = new mongoose.Schema({
+    from: {
+        type: String,
+        default: null,
+    },
+    to: {
+        type: String,
+        required: true,
+    },
+    // Admin for pipeline moves, the applicant for submit/withdraw
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        refPath: 'statusHistory.actorModel',
+        required: true,
+    },
+    actorModel: {
+        type: String,
+        enum: ['User', 'Admin'],
+        default: 'User',
+    },
+    note: {
+        type: String,
+        default: '',
+        trim: true,
+        maxlength: 1000,
+    },
+    changedAt: {
+        type: Date,
+        default: Date.now,
+    },
+}, { _id: false });
+
+// Snapshot of the question so answers stay readable after the post's questions change
+const screeningAnswerSchema = new mongoose.Schema({
+    question: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true,
+    },
+    prompt: {
+        type: String,
+        required: true,
+    },
+    type: {
+        type: String,
+        required: true,
+    },
+    value: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true,
+    },
+    // Tripped the question's knockout rule
+    disqualifying: {
+        type: Boolean,
+        default: false,
+    },
+}, { _id: false });
+
+// Internal reviewer notes — threaded via parent, admin-only
+const reviewNoteSchema = new mongoose.Schema({
+    author: {
+        type: mongoose.Schema.Types.ObjectId,
+        refPath: 'reviewNotes.authorModel',
+        required: true,
+    },
+    authorModel: {
+        type: String,
+        enum: ['User', 'Admin'],
+        default: 'Admin',
+    },
+    body: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 2000,
+    },
+    parent: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null,
+    },
+}, { timestamps: true });
+
+// One rating per reviewer — overall score plus an optional criteria scorecard
+const reviewRatingSchema = new mongoose.Schema({
+    reviewer: {
+        type: mongoose.Schema.Types.ObjectId,
+        refPath: 'ratings.reviewerModel',
+        required: true,
+    },
+    reviewerModel: {
+        type: String,
+        enum: ['User', 'Admin'],
+        default: 'Admin',
+    },
+    score: {
+        type: Number,
+        required: true,
+        min: 1,
+        max: 5,
+    },
+    scorecard: [{
+        _id: false,
+        criterion: { type: String, required: true, trim: true, maxlength: 60 },
+        score: { type: Number, required: true, min: 1, max: 5 },
+    }],
+}, { _id: false, timestamps: true });
+
 const interestedApplicationSchema = new mongoose.Schema({
     post: {
         type: mongoose.Schema.Types.ObjectId,
@@ -71,10 +177,72 @@ const interestedApplicationSchema = new mongoose.Schema({
         type: [interestedDocumentSchema],
         default: [],
     },
+    screeningAnswers: {
+        type: [screeningAnswerSchema],
+        default: [],
+    },
+    // Stage key from the post's hiring pipeline (see utils/hiringPipeline), or 'withdrawn'
     status: {
         type: String,
-        enum: ['submitted', 'reviewed', 'contacted', 'rejected'],
         default: 'submitted',
+        trim: true,
+    },
+    statusHistory: {
+        type: [statusHistorySchema],
+        default: [],
+    },
+    // Reviewer-only fields: excluded by default so no query leaks them to applicants
+    reviewNotes: {
+        type: [reviewNoteSchema],
+        default: [],
+        select: false,
+    },
+    ratings: {
+        type: [reviewRatingSchema],
+        default: [],
+        select: false,
+    },
+    // Plain text extracted from PDF/DOCX documents by jobs/resumeExtractionJob
+    resumeText: {
+        type: String,
+        default: '',
+        select: false,
+    },
+    textExtraction: {
+        status: {
+            type: String,
+            enum: ['pending', 'processing', 'done', 'failed'],
+            default: 'pending',
+        },
+        attempts: {
+            type: Number,
+            default: 0,
+        },
+        startedAt: {
+            type: Date,
+            default: null,
+        },
+        // Backoff after a failed attempt — not retried before this time
+        nextAttemptAt: {
+            type: Date,
+            default: null,
+        },
+        error: {
+            type: String,
+            default: null,
+        },
+    },
+    // Denormalized from ratings for list sorting/filtering
+    averageRating: {
+        type: Number,
+        default: null,
+        min: 1,
+        max: 5,
+    },
+    ratingsCount: {
+        type: Number,
+        default: 0,
+        min: 0,
     },
 }, {
     timestamps: true,
@@ -82,5 +250,11 @@ const interestedApplicationSchema = new mongoose.Schema({
 
 interestedApplicationSchema.index({ post: 1, applicant: 1 }, { unique: true });
 interestedApplicationSchema.index({ createdAt: -1 });
+interestedApplicationSchema.index({ applicant: 1, createdAt: -1 });
+interestedApplicationSchema.index({ post: 1, status: 1 });
+interestedApplicationSchema.index({ post: 1, createdAt: -1 });
+interestedApplicationSchema.index({ post: 1, averageRating: -1 });
+interestedApplicationSchema.index({ 'textExtraction.status': 1, 'textExtraction.startedAt': 1 });
+interestedApplicationSchema.index({ resumeText: 'text' }, { name: 'resume_text_search' });
 
 module.exports = mongoose.model('InterestedApplication', interestedApplicationSchema);
@@ -0,0 +1,116 @@
+const mongoose = require('mongoose');
+
+const interviewSlotSchema = new mongoose.Schema({
+    start: {
+        type: Date,
+        required: true,
+    },
+    end: {
+        type: Date,
+        required: true,
+    },
+});
+
+const interviewSchema = new mongoose.Schema({
+    application: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'InterestedApplication',
+        required: true,
+    },
+    post: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Post',
+        required: true,
+    },
+    applicant: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    // Admin who proposed the interview — the calendar organizer
+    organizer: {
+        type: mongoose.Schema.Types.ObjectId,
+        refPath: 'organizerModel',
+        required: true,
+    },
+    organizerModel: {
+        type: String,
+        enum: ['User', 'Admin'],
+        default: 'Admin',
+    },
+    title: {
+        type: String,
+        trim: true,
+        maxlength: 200,
+        default: 'Interview',
+    },
+    location: {
+        type: String,
+        trim: true,
+        maxlength: 300,
+        default: '',
+    },
+    meetingUrl: {
+        type: String,
+        trim: true,
+        maxlength: 500,
+        default: '',
+    },
+    notes: {
+        type: String,
+        trim: true,
+        maxlength: 2000,
+        default: '',
+    },
+    // Times offered by the admin; the applicant picks one
+    slots: {
+        type: [interviewSlotSchema],
+        default: [],
+    },
+    selectedSlot: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null,
+    },
+    startsAt: {
+        type: Date,
+        default: null,
+    },
+    endsAt: {
+        type: Date,
+        default: null,
+    },
+    status: {
+        type: String,
+        enum: ['proposed', 'scheduled', 'cancelled'],
+        default: 'proposed',
+    },
+    // iCalendar identity — kept across reschedules/cancellation so calendars update in place
+    uid: {
+        type: String,
+        required: true,
+        unique: true,
+    },
+    sequence: {
+        type: Number,
+        default: 0,
+        min: 0,
+    },
+    cancelledAt: {
+        type: Date,
+        default: null,
+    },
+    cancelReason: {
+        type: String,
+        trim: true,
+        maxlength: 1000,
+        default: '',
+    },
+}, {
+    timestamps: true,
+});
+
+interviewSchema.index({ application: 1, createdAt: -1 });
+interviewSchema.index({ applicant: 1, startsAt: 1 });
+interviewSchema.index({ organizer: 1, startsAt: 1 });
+
+module.exports = mongoose.model('Interview', interviewSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const { EMPLOYMENT_TYPES, WORKPLACE_TYPES } = require('../utils/jobFields');
+
+const jobAlertSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+    },
+    name: {
+        type: String,
+        trim: true,
+        maxlength: 100,
+        default: '',
+    },
+    keywords: {
+        type: String,
+        trim: true,
+        maxlength: 200,
+        default: '',
+    },
+    location: {
+        type: String,
+        trim: true,
+        maxlength: 100,
+        default: '',
+    },
+    employmentTypes: {
+        type: [{ type: String, enum: EMPLOYMENT_TYPES }],
+        default: [],
+    },
+    workplaceTypes: {
+        type: [{ type: String, enum: WORKPLACE_TYPES }],
+        default: [],
+    },
+    frequency: {
+        type: String,
+        enum: ['instant', 'daily'],
+        default: 'instant',
+    },
+    isActive: {
+        type: Boolean,
+        default: true,
+    },
+    // Matches waiting for the next daily digest
+    pendingPosts: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Post',
+    }],
+    lastNotifiedAt: {
+        type: Date,
+        default: null,
+    },
+}, { timestamps: true });
+
+jobAlertSchema.index({ user: 1, createdAt: -1 });
+jobAlertSchema.index({ isActive: 1, frequency: 1 });
+
+module.exports = mongoose.model('JobAlert', jobAlertSchema);
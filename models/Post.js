@@ -1,4 +1,118 @@
 const mongoose = require('mongoose');
+const { EMPLOYMENT_TYPES, WORKPLACE_TYPES, SALARY_PERIODS } = require('../utils/jobFields');
+const { QUESTION_TYPES } = require('../utils/screeningQuestions');
+
+// Structured vacancy data — optional, free-text posts leave this null
+const jobSchema = new mongoose.Schema({
+    title: {
+        type: String,
+        trim: true,
+        maxlength: 120,
+        default: null
+    },
+    company: {
+        type: String,
+        trim: true,
+        maxlength: 120,
+        default: null
+    },
+    employmentType: {
+        type: String,
+        enum: EMPLOYMENT_TYPES,
+        default: null
+    },
+    workplaceType: {
+        type: String,
+        enum: WORKPLACE_TYPES,
+        default: null
+    },
+    location: {
+        city: { type: String, trim: true, default: null },
+        state: { type: String, trim: true, uppercase: true, default: null },
+        zip: { type: String, trim: true, default: null }
+    },
+    salary: {
+        min: { type: Number, min: 0, default: null },
+        max: { type: Number, min: 0, default: null },
+        currency: { type: String, trim: true, uppercase: true, default: 'USD' },
+        period: { type: String, enum: SALARY_PERIODS, default: null }
+    },
+    applicationDeadline: {
+        type: Date,
+        default: null
+    }
+}, { _id: false });
+
+// Disqualifying answers for a screening question (see utils/screeningQuestions)
+const knockoutSchema = new mongoose.Schema({
+    answer: { type: Boolean, default: undefined },
+    options: { type: [String], default: undefined },
+    min: { type: Number, default: undefined },
+    max: { type: Number, default: undefined }
+}, { _id: false });
+
+const screeningQuestionSchema = new mongoose.Schema({
+    prompt: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 300
+    },
+    type: {
+        type: String,
+        enum: QUESTION_TYPES,
+        required: true
+    },
+    required: {
+        type: Boolean,
+        default: false
+    },
+    options: {
+        type: [String],
+        default: []
+    },
+    // Hidden from feed queries so applicants can't read the rules
+    knockout: {
+        type: knockoutSchema,
+        default: null,
+        select: false
+    }
+});
+
+// One attachment of a post's gallery; images are measured after processing
+const postMediaSchema = new mongoose.Schema({
+    type: {
+        type: String,
+        enum: ['image', 'video'],
+        required: true
+    },
+    // R2 object key (signed into `url` on the way out)
+    key: {
+        type: String,
+        required: true
+    },
+    width: {
+        type: Number,
+        default: null
+    },
+    height: {
+        type: Number,
+        default: null
+    },
+    alt: {
+        type: String,
+        trim: true,
+        maxlength: 300,
+        default: ''
+    }
+});
+
+// All-time funnel totals, flushed from Redis by jobs/postStatsFlushJob
+const postStatsSchema = new mongoose.Schema({
+    impressions: { type: Number, default: 0, min: 0 },
+    views: { type: Number, default: 0, min: 0 },
+    uniqueViewers: { type: Number, default: 0, min: 0 }
+}, { _id: false });
 
 const postSchema = mongoose.Schema({
     user: {
@@ -24,15 +138,45 @@ const postSchema = mongoose.Schema({
         type: String,
         default: null
     },
+    // Ordered attachments. image_url/video_url mirror the first image/video for
+    // older clients; posts created before galleries only have those two fields.
+    media: {
+        type: [postMediaSchema],
+        default: []
+    },
+    job: {
+        type: jobSchema,
+        default: null
+    },
+    // Employer the post is published under — its members share the post and its applicants
+    company: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Company',
+        default: null
+    },
+    screeningQuestions: {
+        type: [screeningQuestionSchema],
+        default: []
+    },
     isAdminPost: {
         type: Boolean,
         default: false
     },
     status: {
         type: String,
-        enum: ['published', 'pending', 'pending_trusted', 'rejected'],
+        enum: ['draft', 'published', 'pending', 'pending_trusted', 'scheduled', 'rejected', 'expired'],
         default: 'published'
     },
+    // Go-live time — the scheduler moves the post from scheduled to published
+    publishAt: {
+        type: Date,
+        default: null
+    },
+    // When set, the expiry sweeper moves the post from published to expired
+    expiresAt: {
+        type: Date,
+        default: null
+    },
     approvedBy: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'SuperAdmin',
@@ -46,6 +190,11 @@ const postSchema = mongoose.Schema({
         type: String,
         default: null
     },
+    // Set whenever content or media is edited; earlier versions live in PostRevision
+    editedAt: {
+        type: Date,
+        default: null
+    },
     likesCount: {
         type: Number,
         default: 0,
@@ -55,6 +204,12 @@ const postSchema = mongoose.Schema({
         type: Number,
         default: 0,
         min: 0
+    },
+    // Admin analytics only — excluded from feed queries
+    stats: {
+        type: postStatsSchema,
+        default: () => ({}),
+        select: false
     }
 }, {
     timestamps: true
@@ -64,8 +219,21 @@ const postSchema = mongoose.Schema({
 postSchema.index({ user: 1 });
 postSchema.index({ createdAt: -1 });
 postSchema.index({ status: 1 });
+postSchema.index({ status: 1, expiresAt: 1 });
+postSchema.index({ status: 1, publishAt: 1 });
+postSchema.index({ status: 1, updatedAt: 1 });
+postSchema.index({ company: 1, createdAt: -1 });
 postSchema.index({ likesCount: -1 });
 postSchema.index({ commentsCount: -1 });
+postSchema.index({ 'job.employmentType': 1 });
+postSchema.index({ 'job.workplaceType': 1 });
+postSchema.index({ 'job.location.state': 1 });
+
+// Full-text index for /api/posts/search — job title outranks body text
+postSchema.index(
+    { content: 'text', 'job.title': 'text', 'job.company': 'text' },
+    { name: 'post_text_search', weights: { 'job.title': 5, 'job.company': 3, content: 1 } }
+);
 
 module.exports = mongoose.model('Post', postSchema);
 
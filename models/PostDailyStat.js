@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// Per-post, per-day funnel counters, written by jobs/postStatsFlushJob
+const postDailyStatSchema = mongoose.Schema({
+    post: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Post',
+        required: true
+    },
+    // UTC midnight of the day
+    date: {
+        type: Date,
+        required: true
+    },
+    impressions: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    views: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    uniqueViewers: {
+        type: Number,
+        default: 0,
+        min: 0
+    }
+}, {
+    timestamps: true
+});
+
+postDailyStatSchema.index({ post: 1, date: 1 }, { unique: true });
+
+module.exports = mongoose.model('PostDailyStat', postDailyStatSchema);
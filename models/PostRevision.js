@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Snapshot of a post's content and media taken just before an edit overwrote them
+const postRevisionSchema = mongoose.Schema({
+    post: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Post',
+        required: true
+    },
+    content: {
+        type: String,
+        default: ''
+    },
+    // R2 keys — kept alive in R2 until the post itself is deleted
+    image_url: {
+        type: String,
+        default: null
+    },
+    video_url: {
+        type: String,
+        default: null
+    },
+    // Snapshot of Post.media at the time of the edit
+    media: {
+        type: [mongoose.Schema.Types.Mixed],
+        default: []
+    },
+    editor: {
+        type: mongoose.Schema.Types.ObjectId,
+        refPath: 'editorModel',
+        required: true
+    },
+    editorModel: {
+        type: String,
+        required: true,
+        enum: ['User', 'Admin']
+    }
+}, {
+    timestamps: true
+});
+
+// Newest-first revision history of a post
+postRevisionSchema.index({ post: 1, createdAt: -1 });
+
+module.exports = mongoose.model('PostRevision', postRevisionSchema);
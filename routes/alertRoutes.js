@@ -0,0 +1,11 @@
+const express = require('express');
+const router = express.Router();
+const { getAlerts, createAlert, updateAlert, deleteAlert } = require('../controllers/alertController');
+const { protect } = require('../middleware/authMiddleware');
+
+router.get('/', protect, getAlerts);
+router.post('/', protect, createAlert);
+router.put('/:id', protect, updateAlert);
+router.delete('/:id', protect, deleteAlert);
+
+module.exports = router;
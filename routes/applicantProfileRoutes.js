@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getApplicantProfile,
+    updateApplicantProfile,
+    uploadProfileDocuments,
+    deleteProfileDocument
+} = require('../controllers/applicantProfileController');
+const { protect } = require('../middleware/authMiddleware');
+const uploadInterestedDocuments = require('../middleware/interestedUploadMiddleware');
+
+router.get('/', protect, getApplicantProfile);
+router.put('/', protect, updateApplicantProfile);
+router.post('/documents', protect, uploadInterestedDocuments, uploadProfileDocuments);
+router.delete('/documents/:documentId', protect, deleteProfileDocument);
+
+module.exports = router;
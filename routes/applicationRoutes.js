@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getMyApplications,
+    getMyApplicationById,
+    withdrawApplication
+} = require('../controllers/interestedApplicationController');
+const {
+    getApplicationInterviews,
+    selectInterviewSlot,
+    downloadInterviewIcs
+} = require('../controllers/interviewController');
+const { protect } = require('../middleware/authMiddleware');
+
+router.get('/mine', protect, getMyApplications);
+router.get('/:id', protect, getMyApplicationById);
+router.delete('/:id', protect, withdrawApplication);
+router.get('/:id/interviews', protect, getApplicationInterviews);
+router.put('/:id/interviews/:interviewId/slot', protect, selectInterviewSlot);
+router.get('/:id/interviews/:interviewId/ics', protect, downloadInterviewIcs);
+
+module.exports = router;
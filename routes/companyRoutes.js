@@ -0,0 +1,16 @@
+const express = require('express');
+const router = express.Router();
+const {
+    getCompanies,
+    getCompanyBySlug,
+    toggleCompanyFollow,
+    getFollowedCompanies
+} = require('../controllers/companyController');
+const { protect, optionalAuth } = require('../middleware/authMiddleware');
+
+router.get('/', getCompanies);
+router.get('/following', protect, getFollowedCompanies);
+router.get('/:slug', optionalAuth, getCompanyBySlug);
+router.post('/:slug/follow', protect, toggleCompanyFollow);
+
+module.exports = router;
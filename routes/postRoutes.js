@@ -1,26 +1,22 @@
 const express = require('express');
 const rateLimit = require('express-rate-limit');
 const router = express.Router();
-const { getPosts, getUserPosts, getPostById, toggleLike } = require('../controllers/postController');
+const {
+    getPosts,
+    searchPosts,
+    getUserPosts,
+    getPostById,
+    getPostRevisions,
+    createPost,
+    deletePost,
+    toggleLike,
+    toggleBookmark,
+    getBookmarks
+} = require('../controllers/postController');
 const { createInterestedApplication } = require('../controllers/interestedApplicationController');
-const { protect } = require('../middleware/authMiddleware');
+const { protect, optionalAuth } = require('../middleware/authMiddleware');
 const uploadInterestedDocuments = require('../middleware/interestedUploadMiddleware');
-const jwt = require('jsonwebtoken');
-const User = require('../models/User');
-
-// ── Optional auth: attach req.user if token present, but don't block ────────
-const optionalAuth = async (req, res, next) => {
-    if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
-        try {
-            const token = req.headers.authorization.split(' ')[1];
-            const decoded = jwt.verify(token, process.env.JWT_SECRET);
-            req.user = await User.findById(decoded.id).select('-password');
-        } catch (_) {
-            // Invalid token — proceed as unauthenticated
-        }
-    }
-    next();
-};
+const { uploadMediaFiles } = require('../middleware/uploadMiddleware');
 
 // ── Rate limiter for like endpoint (edge case #7) ───────────────────────────
 const likeLimiter = rateLimit({
@@ -33,11 +29,22 @@ const likeLimiter = rateLimit({
 
 // Feed routes (public, but optionalAuth for likedByMe)
 router.get('/', optionalAuth, getPosts);
+router.get('/search', optionalAuth, searchPosts);
+router.get('/bookmarks', protect, getBookmarks);
 router.get('/user/:id', optionalAuth, getUserPosts);
+
+// User-authored posts — moderation policy decides pending vs published
+router.post('/', protect, uploadMediaFiles('media'), createPost);
+router.delete('/:id', protect, deletePost);
+
 router.post('/:id/interested', protect, uploadInterestedDocuments, createInterestedApplication);
+router.get('/:id/revisions', optionalAuth, getPostRevisions);
 router.get('/:id', optionalAuth, getPostById); // Get single post by ID
 
 // Like toggle (authenticated + rate-limited)
 router.post('/:id/like', protect, likeLimiter, toggleLike);
 
+// Bookmark toggle (authenticated + rate-limited)
+router.post('/:id/bookmark', protect, likeLimiter, toggleBookmark);
+
 module.exports = router;
@@ -12,6 +12,12 @@ const jwt = require('jsonwebtoken');
 const connectDB = require('./config/db');
 const { setupChatSocket } = require('./socket/chatSocket');
 const { decodeToken } = require('./middleware/authMiddleware');
+const { startPostExpiryJob } = require('./jobs/postExpiryJob');
+const { startJobAlertDigestJob } = require('./jobs/jobAlertDigestJob');
+const { startResumeExtractionJob } = require('./jobs/resumeExtractionJob');
+const { startPostStatsFlushJob } = require('./jobs/postStatsFlushJob');
+const { startPostSchedulerJob } = require('./jobs/postSchedulerJob');
+const { startDraftCleanupJob } = require('./jobs/draftCleanupJob');
 
 dotenv.config();
 
@@ -22,7 +28,7 @@ const server = http.createServer(app);
 
 // ─── Redis clients ────────────────────────────────────────────────────────────
 // Three separate ioredis connections:
-//   redisClient  → rate-limit store (shared, general-purpose)
+//   redisClient  → rate-limit store + analytics counters (shared, general-purpose)
 //   redisPub     → Socket.IO adapter publisher  (dedicated — Redis pub/sub requires it)
 //   redisSub     → Socket.IO adapter subscriber (dedicated — Redis pub/sub requires it)
 //
@@ -96,6 +102,9 @@ redisPub.on('ready', () => {
 // Make io accessible in route handlers via req.app.get('io')
 app.set('io', io);
 
+// General-purpose Redis client for handlers (e.g. post analytics counters) via req.app.get('redis')
+app.set('redis', redisClient);
+
 // Setup socket event handlers (must come after adapter is configured)
 setupChatSocket(io);
 
@@ -143,6 +152,10 @@ app.use('/api/comments', require('./routes/commentRoutes'));
 app.use('/api/friends', require('./routes/friendRoutes'));
 app.use('/api/chat', require('./routes/chatRoutes'));
 app.use('/api/activity', require('./routes/activityRoutes'));
+app.use('/api/alerts', require('./routes/alertRoutes'));
+app.use('/api/applications', require('./routes/applicationRoutes'));
+app.use('/api/applicant-profile', require('./routes/applicantProfileRoutes'));
+app.use('/api/companies', require('./routes/companyRoutes'));
 
 app.get("/api/health", (req, res) => {
     res.json({ message: "OK" });
@@ -152,6 +165,7 @@ app.get("/api/health", (req, res) => {
 app.use('/api/admin/auth', require('./admin/routes/adminAuthRoutes'));
 app.use('/api/admin/posts', require('./admin/routes/adminPostRoutes'));
 app.use('/api/admin/chat', require('./admin/routes/adminChatRoutes'));
+app.use('/api/admin/companies', require('./admin/routes/companyRoutes'));
 
 // Super Admin routes
 app.use('/api/superadmin/auth', require('./admin/routes/superAdminAuthRoutes'));
@@ -172,6 +186,14 @@ async function startServer() {
         server.listen(PORT, () =>
             console.log(`Server started on port ${PORT}`)
         );
+
+        // Background jobs
+        startPostExpiryJob();
+        startJobAlertDigestJob(io);
+        startResumeExtractionJob();
+        startPostStatsFlushJob(redisClient);
+        startPostSchedulerJob(io);
+        startDraftCleanupJob();
     } catch (err) {
         console.error("❌ Redis not ready, retrying...");
         setTimeout(startServer, 5000);
@@ -0,0 +1,32 @@
+// owner: everything, including members and deletion
+// manager: company profile and members below owner
+// recruiter: the company's posts and applications only
+const COMPANY_ROLES = ['owner', 'manager', 'recruiter'];
+
+const PROFILE_ROLES = ['owner', 'manager'];
+
+/**
+ * Whether a member may edit the company profile and its member list
+ * @param {object} [member] - Company membership entry
+ * @returns {boolean}
+ */
+const canManageCompany = (member) => !!member && PROFILE_ROLES.includes(member.role);
+
+/**
+ * Build a URL slug from a company name, e.g. "Acme & Co." -> "acme-co"
+ * @param {string} name
+ * @returns {string}
+ */
+const slugify = (name) => String(name || '')
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60) || 'company';
+
+module.exports = {
+    COMPANY_ROLES,
+    canManageCompany,
+    slugify,
+};
@@ -0,0 +1,65 @@
+const CompanyFollow = require('../models/CompanyFollow');
+const Activity = require('../models/Activity');
+
+const BATCH_SIZE = 500;
+
+/**
+ * Put a newly published company post into the activity feed of every follower.
+ * Activities are inserted in batches; the populated actor/post are shared by
+ * all of them, so each socket push costs no extra query.
+ * @param {object} post - Post that just became published
+ * @param {object} io - Socket.IO server (may be undefined outside HTTP context)
+ * @returns {Promise<number>} Number of followers notified
+ */
+const notifyCompanyFollowers = async (post, io) => {
+    if (!post || post.status !== 'published' || !post.company) return 0;
+
+    const template = {
+        actor: post.user,
+        actorModel: post.userModel || 'User',
+        type: 'COMPANY_POST',
+        post: post._id,
+        company: post.company,
+    };
+
+    // Populate once from a throwaway document for the socket payloads
+    const sample = await Activity.populate(new Activity({ ...template, recipient: post.user }), [
+        { path: 'actor', select: 'username display_name avatar_url' },
+        { path: 'post', select: 'content image_url job' },
+        { path: 'company', select: 'name slug' },
+    ]);
+    const shared = { actor: sample.actor, post: sample.post, company: sample.company };
+
+    let notified = 0;
+    let batch = [];
+
+    const flush = async () => {
+        if (batch.length === 0) return;
+        const activities = await Activity.insertMany(batch.map(recipient => ({ ...template, recipient })));
+        if (io) {
+            activities.forEach((activity) => {
+                io.to(activity.recipient.toString()).emit('new_activity', { ...activity.toObject(), ...shared });
+            });
+        }
+        notified += activities.length;
+        batch = [];
+    };
+
+    const cursor = CompanyFollow.find({ company: post.company, user: { $ne: post.user } })
+        .select('user')
+        .lean()
+        .cursor();
+
+    for await (const follow of cursor) {
+        batch.push(follow.user);
+        if (batch.length >= BATCH_SIZE) await flush();
+    }
+    await flush();
+
+    if (notified > 0) {
+        console.log(`[CompanyFollowers] Post ${post._id} sent to ${notified} follower(s)`);
+    }
+    return notified;
+};
+
+module.exports = { notifyCompanyFollowers };
@@ -0,0 +1,102 @@
+const path = require('path');
+const crypto = require('crypto');
+const { promisify } = require('util');
+const { gzip } = require('zlib');
+const { PutObjectCommand, CopyObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+const { s3Client, R2_BUCKET } = require('../config/r2');
+
+const gzipAsync = promisify(gzip);
+
+function sanitizeFileName(filename = 'document') {
+    const parsed = path.parse(filename);
+    const safeBase = (parsed.name || 'document')
+        .replace(/[^a-zA-Z0-9-_]/g, '-')
+        .replace(/-+/g, '-')
+        .replace(/^-|-$/g, '')
+        .slice(0, 60) || 'document';
+    const safeExt = (parsed.ext || '').replace(/[^a-zA-Z0-9.]/g, '').slice(0, 10);
+    return `${safeBase}${safeExt}`;
+}
+
+function buildDocumentKey(prefix, originalName, index = 0) {
+    const safeName = sanitizeFileName(originalName);
+    return `${prefix}/${Date.now()}-${index}-${crypto.randomBytes(4).toString('hex')}-${safeName}.gz`;
+}
+
+/**
+ * Gzip an uploaded document and store it in R2 under the given prefix
+ * @param {object} file - multer file (memory storage)
+ * @param {string} prefix - Key prefix, e.g. interested-user-docs/<post>/<application>
+ * @param {number} [index=0] - Position in the upload, keeps keys unique within a request
+ * @returns {Promise<object>} Document metadata as stored on InterestedApplication.documents
+ */
+async function uploadCompressedDocument(file, prefix, index = 0) {
+    const safeName = sanitizeFileName(file.originalname);
+    const compressedBuffer = await gzipAsync(file.buffer, { level: 9 });
+    const key = buildDocumentKey(prefix, file.originalname, index);
+
+    await s3Client.send(new PutObjectCommand({
+        Bucket: R2_BUCKET,
+        Key: key,
+        Body: compressedBuffer,
+        ContentType: file.mimetype || 'application/octet-stream',
+        ContentEncoding: 'gzip',
+        Metadata: {
+            originalname: safeName,
+        },
+    }));
+
+    return {
+        originalName: file.originalname,
+        mimeType: file.mimetype || 'application/octet-stream',
+        r2Key: key,
+        originalSize: file.size,
+        compressedSize: compressedBuffer.length,
+    };
+}
+
+/**
+ * Copy an already-stored document to a new prefix. The copy keeps the source's
+ * gzip encoding and metadata, so later changes to the source don't affect it.
+ * @param {object} document - Stored document metadata ({ originalName, r2Key, ... })
+ * @param {string} prefix - Destination key prefix
+ * @param {number} [index=0]
+ * @returns {Promise<object>} Metadata for the copy
+ */
+async function copyStoredDocument(document, prefix, index = 0) {
+    const key = buildDocumentKey(prefix, document.originalName, index);
+
+    await s3Client.send(new CopyObjectCommand({
+        Bucket: R2_BUCKET,
+        Key: key,
+        CopySource: `${R2_BUCKET}/${encodeURI(document.r2Key)}`,
+    }));
+
+    return {
+        originalName: document.originalName,
+        mimeType: document.mimeType,
+        r2Key: key,
+        originalSize: document.originalSize,
+        compressedSize: document.compressedSize,
+    };
+}
+
+/**
+ * Delete a stored document from R2 (errors are logged, not thrown)
+ * @param {string} key
+ */
+async function deleteStoredDocument(key) {
+    if (!key) return;
+    try {
+        await s3Client.send(new DeleteObjectCommand({ Bucket: R2_BUCKET, Key: key }));
+    } catch (err) {
+        console.error('[R2] Delete error:', err.message);
+    }
+}
+
+module.exports = {
+    sanitizeFileName,
+    uploadCompressedDocument,
+    copyStoredDocument,
+    deleteStoredDocument,
+};
@@ -0,0 +1,8 @@
+/**
+ * Escape user input for literal use inside a RegExp
+ * @param {string} value
+ * @returns {string}
+ */
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = { escapeRegex };
@@ -0,0 +1,214 @@
+const HiringPipeline = require('../admin/models/HiringPipeline');
+const InterestedApplication = require('../models/InterestedApplication');
+
+// Every pipeline starts here — createInterestedApplication always writes this status
+const INITIAL_STAGE = 'submitted';
+
+// Where screening knockouts land — only when the post's pipeline has this stage
+const REJECTED_STAGE = 'rejected';
+
+// Set by the applicant only; never part of an admin pipeline
+const WITHDRAWN_STAGE = 'withdrawn';
+
+const MAX_STAGES = 15;
+
+const DEFAULT_STAGES = [
+    { key: 'submitted', label: 'Submitted', transitions: ['screening', 'rejected'] },
+    { key: 'screening', label: 'Screening', transitions: ['interview', 'rejected'] },
+    { key: 'interview', label: 'Interview', transitions: ['offer', 'rejected'] },
+    { key: 'offer', label: 'Offer', transitions: ['hired', 'rejected'] },
+    { key: 'hired', label: 'Hired', transitions: [] },
+    { key: 'rejected', label: 'Rejected', transitions: [] },
+];
+
+// Statuses written before pipelines existed, mapped onto the default stages
+const LEGACY_STATUS_ALIASES = {
+    reviewed: 'screening',
+    contacted: 'interview',
+};
+
+const STAGE_KEY_PATTERN = /^[a-z][a-z0-9_]{1,29}$/;
+
+/**
+ * Map a stored status onto a stage key of the given pipeline
+ * @param {Array} stages - Pipeline stages
+ * @param {string} status - Stored application status
+ * @returns {string}
+ */
+const normalizeStatus = (stages, status) => {
+    if (stages.some(stage => stage.key === status)) return status;
+    return LEGACY_STATUS_ALIASES[status] || status;
+};
+
+/**
+ * Check whether an application may move from one stage to another
+ * @param {Array} stages - Pipeline stages
+ * @param {string} from - Current (stored) status
+ * @param {string} to - Requested stage key
+ * @returns {boolean}
+ */
+const canTransition = (stages, from, to) => {
+    const current = stages.find(stage => stage.key === normalizeStatus(stages, from));
+    return !!current && current.transitions.includes(to);
+};
+
+/**
+ * Validate a pipeline definition sent by an admin.
+ * @param {Array} input - [{ key, label, transitions }]
+ * @returns {{ stages?: Array, error?: string }}
+ */
+const validateStages = (input) => {
+    if (!Array.isArray(input) || input.length < 2) {
+        return { error: 'A pipeline needs at least two stages' };
+    }
+    if (input.length > MAX_STAGES) {
+        return { error: `A pipeline can have at most ${MAX_STAGES} stages` };
+    }
+
+    const stages = input.map(stage => ({
+        key: String(stage?.key || '').trim(),
+        label: String(stage?.label || stage?.key || '').trim().replace(/[<>]/g, '').slice(0, 50),
+        transitions: Array.isArray(stage?.transitions) ? [...new Set(stage.transitions.map(String))] : [],
+    }));
+
+    const keys = stages.map(stage => stage.key);
+    if (keys.some(key => !STAGE_KEY_PATTERN.test(key))) {
+        return { error: 'Stage keys must be 2-30 lowercase letters, digits or underscores' };
+    }
+    if (new Set(keys).size !== keys.length) {
+        return { error: 'Stage keys must be unique' };
+    }
+    if (keys.includes(WITHDRAWN_STAGE)) {
+        return { error: `"${WITHDRAWN_STAGE}" is reserved for applicants` };
+    }
+    if (keys[0] !== INITIAL_STAGE) {
+        return { error: `The first stage must be "${INITIAL_STAGE}"` };
+    }
+
+    for (const stage of stages) {
+        const unknown = stage.transitions.find(target => !keys.includes(target) || target === stage.key);
+        if (unknown) {
+            return { error: `Stage "${stage.key}" has an invalid transition to "${unknown}"` };
+        }
+    }
+
+    return { stages };
+};
+
+/**
+ * Resolve the pipeline that applies to a post:
+ * the post's own override, else its author's default, else DEFAULT_STAGES.
+ * @param {object} post - Post with _id and user
+ * @param {object} [options]
+ * @param {boolean} [options.ignoreOverride] - Resolve as if the post had no override
+ * @returns {Promise<{ stages: Array, source: string }>}
+ */
+const resolvePipeline = async (post, { ignoreOverride = false } = {}) => {
+    const pipelines = await HiringPipeline.find({
+        $or: [
+            ...(ignoreOverride ? [] : [{ post: post._id }]),
+            { owner: post.user, post: null },
+        ],
+    }).lean();
+
+    const override = pipelines.find(p => p.post && p.post.toString() === post._id.toString());
+    if (override) return { stages: override.stages, source: 'post' };
+
+    const ownerDefault = pipelines.find(p => !p.post);
+    if (ownerDefault) return { stages: ownerDefault.stages, source: 'admin' };
+
+    return { stages: DEFAULT_STAGES, source: 'default' };
+};
+
+/**
+ * Count applications on the given posts whose status has no stage in `stages`.
+ * Withdrawn applications never need a stage.
+ * @param {Array} postIds
+ * @param {Array} stages - Pipeline about to be applied
+ * @returns {Promise<Object<string, number>>} { status: count } — empty when nothing is orphaned
+ */
+const findOrphanedStatuses = async (postIds, stages) => {
+    if (postIds.length === 0) return {};
+
+    const counts = await InterestedApplication.aggregate([
+        { $match: { post: { $in: postIds } } },
+        { $group: { _id: '$status', count: { $sum: 1 } } },
+    ]);
+
+    const orphaned = {};
+    counts.forEach(({ _id, count }) => {
+        if (_id === WITHDRAWN_STAGE) return;
+        if (!stages.some(stage => stage.key === normalizeStatus(stages, _id))) {
+            orphaned[_id] = count;
+        }
+    });
+    return orphaned;
+};
+
+/**
+ * Validate the `stageMapping` sent with a pipeline change: every orphaned
+ * status must be mapped onto a stage of the new pipeline.
+ * @param {*} raw - { oldStatus: newStageKey }
+ * @param {Object<string, number>} orphaned - From findOrphanedStatuses
+ * @param {Array} stages - New pipeline stages
+ * @returns {{ mapping?: Object<string, string>, error?: string }}
+ */
+const validateStageMapping = (raw, orphaned, stages) => {
+    const statuses = Object.keys(orphaned);
+    if (statuses.length === 0) return { mapping: {} };
+
+    const input = raw && typeof raw === 'object' && !Array.isArray(raw) ? raw : {};
+    const mapping = {};
+    for (const status of statuses) {
+        const target = input[status];
+        if (!target) {
+            return { error: `Applications in "${status}" have no stage in the new pipeline — map them with stageMapping` };
+        }
+        if (!stages.some(stage => stage.key === target)) {
+            return { error: `stageMapping target "${target}" is not a stage of the new pipeline` };
+        }
+        mapping[status] = target;
+    }
+    return { mapping };
+};
+
+/**
+ * Move applications out of removed stages according to a validated mapping,
+ * recording the move in their status history.
+ * @param {Array} postIds
+ * @param {Object<string, string>} mapping - From validateStageMapping
+ * @param {object} admin - req.admin making the change
+ */
+const migrateOrphanedStatuses = async (postIds, mapping, admin) => {
+    const changedAt = new Date();
+    await Promise.all(Object.entries(mapping).map(([from, to]) => InterestedApplication.updateMany(
+        { post: { $in: postIds }, status: from },
+        {
+            $set: { status: to },
+            $push: {
+                statusHistory: {
+                    from,
+                    to,
+                    actor: admin._id,
+                    actorModel: admin.isUserAdmin ? 'User' : 'Admin',
+                    note: 'Moved by a hiring pipeline change',
+                    changedAt,
+                },
+            },
+        }
+    )));
+};
+
+module.exports = {
+    INITIAL_STAGE,
+    REJECTED_STAGE,
+    WITHDRAWN_STAGE,
+    DEFAULT_STAGES,
+    normalizeStatus,
+    canTransition,
+    validateStages,
+    resolvePipeline,
+    findOrphanedStatuses,
+    validateStageMapping,
+    migrateOrphanedStatuses,
+};
@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+
+const UID_DOMAIN = process.env.ICS_UID_DOMAIN || 'interviews.local';
+const PRODUCT_ID = '-//Kindred//Interviews//EN';
+
+/**
+ * Generate a globally unique iCalendar UID for a new event
+ * @returns {string}
+ */
+const generateEventUid = () => `${crypto.randomUUID()}@${UID_DOMAIN}`;
+
+// RFC 5545 §3.3.5 UTC date-time, e.g. 20260102T150000Z
+const formatDate = (date) => new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+// RFC 5545 §3.3.11 TEXT escaping — a lone CR would otherwise end the line
+const escapeText = (value) => String(value ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r\n|\r|\n/g, '\\n');
+
+// URI and mailto values aren't escaped — drop line breaks so they can't start a new property
+const singleLine = (value) => String(value ?? '').replace(/[\r\n]/g, '');
+
+// Parameter values (CN=...) are quoted; DQUOTE itself isn't allowed inside
+const quoteParam = (value) => `"${String(value ?? '').replace(/["\r\n]/g, '')}"`;
+
+// RFC 5545 §3.1 — lines longer than 75 octets are folded with CRLF + space
+const foldLine = (line) => {
+    const bytes = Buffer.from(line, 'utf8');
+    if (bytes.length <= 75) return line;
+
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+        const limit = parts.length === 0 ? 75 : 74;
+        if (Buffer.byteLength(current + char, 'utf8') > limit) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+};
+
+/**
+ * Build an iCalendar (.ics) document for an interview.
+ * Scheduled interviews produce METHOD:REQUEST, cancelled ones METHOD:CANCEL.
+ * The UID and SEQUENCE come from the interview, so calendar clients update
+ * the existing event on reschedule/cancel instead of adding a new one.
+ *
+ * @param {object} interview - Interview document (with startsAt/endsAt set)
+ * @param {object} [options]
+ * @param {string} [options.description] - Event body
+ * @param {{ name?: string, email?: string }} [options.organizer]
+ * @param {{ name?: string, email?: string }} [options.attendee]
+ * @returns {string}
+ */
+const buildInterviewIcs = (interview, { description = '', organizer = {}, attendee = {} } = {}) => {
+    const cancelled = interview.status === 'cancelled';
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        `METHOD:${cancelled ? 'CANCEL' : 'REQUEST'}`,
+        'BEGIN:VEVENT',
+        `UID:${singleLine(interview.uid)}`,
+        `SEQUENCE:${interview.sequence || 0}`,
+        `DTSTAMP:${formatDate(interview.updatedAt || new Date())}`,
+        `DTSTART:${formatDate(interview.startsAt)}`,
+        `DTEND:${formatDate(interview.endsAt)}`,
+        `SUMMARY:${escapeText(interview.title)}`,
+        `STATUS:${cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+    ];
+
+    const body = [description, interview.notes, interview.meetingUrl].filter(Boolean).join('\n\n');
+    if (body) lines.push(`DESCRIPTION:${escapeText(body)}`);
+    if (interview.location || interview.meetingUrl) {
+        lines.push(`LOCATION:${escapeText(interview.location || interview.meetingUrl)}`);
+    }
+    if (interview.meetingUrl) lines.push(`URL:${singleLine(interview.meetingUrl)}`);
+    if (organizer.email) {
+        lines.push(`ORGANIZER;CN=${quoteParam(organizer.name || organizer.email)}:mailto:${singleLine(organizer.email)}`);
+    }
+    if (attendee.email) {
+        lines.push(`ATTENDEE;CN=${quoteParam(attendee.name || attendee.email)};ROLE=REQ-PARTICIPANT:mailto:${singleLine(attendee.email)}`);
+    }
+
+    lines.push('END:VEVENT', 'END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = { generateEventUid, buildInterviewIcs };
@@ -14,12 +14,13 @@ const WEBP_QUALITY = 80;
  *
  * @param {Buffer} buffer  - Raw image buffer from multer
  * @param {string} mimetype - Original mimetype (e.g. 'image/png')
- * @returns {Promise<{ buffer: Buffer, mimetype: string, ext: string }>}
+ * @returns {Promise<{ buffer: Buffer, mimetype: string, ext: string, width: number, height: number }>}
  */
 const processImage = async (buffer, mimetype) => {
     // Skip processing for GIFs (to preserve animation)
     if (mimetype === 'image/gif') {
-        return { buffer, mimetype, ext: '.gif' };
+        const { width, height } = await sharp(buffer).metadata();
+        return { buffer, mimetype, ext: '.gif', width, height };
     }
 
     let pipeline = sharp(buffer)
@@ -32,12 +33,14 @@ const processImage = async (buffer, mimetype) => {
     // Convert to WebP (modern, ~30% smaller than JPEG at same quality)
     pipeline = pipeline.webp({ quality: WEBP_QUALITY });
 
-    const processedBuffer = await pipeline.toBuffer();
+    const { data, info } = await pipeline.toBuffer({ resolveWithObject: true });
 
     return {
-        buffer: processedBuffer,
+        buffer: data,
         mimetype: 'image/webp',
         ext: '.webp',
+        width: info.width,
+        height: info.height,
     };
 };
 
@@ -0,0 +1,190 @@
+const Activity = require('../models/Activity');
+const User = require('../models/User');
+const Admin = require('../admin/models/Admin');
+const InterestedApplication = require('../models/InterestedApplication');
+const Interview = require('../models/Interview');
+const { buildInterviewIcs } = require('./icsCalendar');
+
+const MAX_SLOTS = 10;
+const MAX_SLOT_DURATION_MS = 8 * 60 * 60 * 1000;
+const MAX_MEETING_URL_LENGTH = 500;
+// No whitespace, so no CR/LF can reach the URL line of the .ics
+const MEETING_URL_PATTERN = /^https?:\/\/[^\s<>"]+$/i;
+
+/**
+ * Validate proposed interview slots sent by an admin
+ * @param {Array} input - [{ start, end }]
+ * @returns {{ slots?: Array, error?: string }}
+ */
+const parseSlots = (input) => {
+    if (!Array.isArray(input) || input.length === 0) {
+        return { error: 'Propose at least one time slot' };
+    }
+    if (input.length > MAX_SLOTS) {
+        return { error: `You can propose at most ${MAX_SLOTS} time slots` };
+    }
+
+    const now = Date.now();
+    const slots = [];
+    for (const item of input) {
+        const start = new Date(item?.start);
+        const end = new Date(item?.end);
+        if (Number.isNaN(start.getTime()) || Number.isNaN(end.getTime())) {
+            return { error: 'Each slot needs a valid start and end' };
+        }
+        if (start.getTime() <= now) {
+            return { error: 'Slots must start in the future' };
+        }
+        if (end <= start || end - start > MAX_SLOT_DURATION_MS) {
+            return { error: 'Each slot must end after it starts and last at most 8 hours' };
+        }
+        slots.push({ start, end });
+    }
+
+    return { slots: slots.sort((a, b) => a.start - b.start) };
+};
+
+/**
+ * Validate an optional meeting link sent by an admin
+ * @param {*} input - Value of req.body.meetingUrl
+ * @returns {{ meetingUrl?: string, error?: string }}
+ *   `meetingUrl` is undefined when not sent, '' when cleared.
+ */
+const parseMeetingUrl = (input) => {
+    if (input === undefined || input === null) return {};
+    if (typeof input !== 'string') return { error: 'Meeting link must be an http(s) URL' };
+
+    const meetingUrl = input.trim();
+    if (!meetingUrl) return { meetingUrl: '' };
+    if (meetingUrl.length > MAX_MEETING_URL_LENGTH || !MEETING_URL_PATTERN.test(meetingUrl)) {
+        return { error: `Meeting link must be an http(s) URL of at most ${MAX_MEETING_URL_LENGTH} characters` };
+    }
+    return { meetingUrl };
+};
+
+/**
+ * Render the .ics file for an interview, filling in organizer and attendee details
+ * @param {object} interview - Interview document
+ * @returns {Promise<string>}
+ */
+const renderInterviewIcs = async (interview) => {
+    const OrganizerModel = interview.organizerModel === 'User' ? User : Admin;
+    const [organizer, application] = await Promise.all([
+        OrganizerModel.findById(interview.organizer).select('display_name email').lean(),
+        InterestedApplication.findById(interview.application)
+            .select('fullName email post')
+            .populate('post', 'job content')
+            .lean(),
+    ]);
+
+    const jobTitle = application?.post?.job?.title;
+    return buildInterviewIcs(interview, {
+        description: jobTitle ? `Interview for ${jobTitle}` : '',
+        organizer: { name: organizer?.display_name, email: organizer?.email },
+        attendee: { name: application?.fullName, email: application?.email },
+    });
+};
+
+/**
+ * Send an interview's .ics as a file download
+ * @param {object} res - Express response
+ * @param {object} interview - Interview document (must have a chosen time)
+ */
+const sendInterviewIcs = async (res, interview) => {
+    const ics = await renderInterviewIcs(interview);
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="interview-${interview._id}.ics"`);
+    res.send(ics);
+};
+
+/**
+ * Notify both sides of an interview change: an Activity for the applicant and a
+ * socket event in the organizer's admin room. Each payload links the .ics file.
+ * Errors are logged, not thrown — callers have already responded.
+ *
+ * @param {object} io - Socket.IO server (req.app.get('io'))
+ * @param {object} interview - Interview document after the change
+ * @param {'proposed'|'scheduled'|'rescheduled'|'cancelled'} event
+ * @param {string} [message] - Optional note shown to the applicant
+ */
+const notifyInterviewUpdate = async (io, interview, event, message) => {
+    const applicationId = interview.application.toString();
+    const hasCalendarEvent = !!interview.startsAt;
+
+    try {
+        const activity = await Activity.create({
+            recipient: interview.applicant,
+            actor: interview.organizer,
+            actorModel: interview.organizerModel,
+            type: 'INTERVIEW',
+            post: interview.post,
+            application: interview.application,
+            interview: interview._id,
+            status: event,
+            message: message || undefined,
+        });
+        const populatedActivity = await Activity.findById(activity._id)
+            .populate('actor', 'username display_name avatar_url')
+            .populate('post', 'content image_url job')
+            .lean();
+
+        io.to(interview.applicant.toString()).emit('new_activity', {
+            ...populatedActivity,
+            icsUrl: hasCalendarEvent ? `/api/applications/${applicationId}/interviews/${interview._id}/ics` : null,
+        });
+    } catch (err) {
+        console.error('Interview applicant notification error:', err);
+    }
+
+    io.of('/admin').to(`admin:${interview.organizer.toString()}`).emit('interview_update', {
+        interviewId: interview._id,
+        applicationId,
+        event,
+        status: interview.status,
+        startsAt: interview.startsAt,
+        endsAt: interview.endsAt,
+        icsUrl: hasCalendarEvent
+            ? `/api/admin/posts/interested-applications/${applicationId}/interviews/${interview._id}/ics`
+            : null,
+    });
+};
+
+/**
+ * Cancel every open (proposed or scheduled) interview of an application and notify
+ * both sides. SEQUENCE is bumped so a booked calendar event is retracted by the CANCEL .ics.
+ * Errors are logged, not thrown — callers have already responded.
+ *
+ * @param {object} io - Socket.IO server (req.app.get('io'))
+ * @param {string|object} applicationId
+ * @param {string} reason - Stored as cancelReason and shown to the applicant
+ */
+const cancelOpenInterviews = async (io, applicationId, reason) => {
+    try {
+        const open = await Interview.find({ application: applicationId, status: { $ne: 'cancelled' } })
+            .select('_id')
+            .lean();
+
+        for (const { _id } of open) {
+            // Conditional so an interview cancelled concurrently is not notified twice
+            const cancelled = await Interview.findOneAndUpdate(
+                { _id, status: { $ne: 'cancelled' } },
+                {
+                    $set: { status: 'cancelled', cancelledAt: new Date(), cancelReason: reason },
+                    $inc: { sequence: 1 },
+                },
+                { new: true }
+            );
+            if (cancelled) await notifyInterviewUpdate(io, cancelled, 'cancelled', reason);
+        }
+    } catch (err) {
+        console.error('Cancel open interviews error:', err);
+    }
+};
+
+module.exports = {
+    parseSlots,
+    parseMeetingUrl,
+    sendInterviewIcs,
+    notifyInterviewUpdate,
+    cancelOpenInterviews,
+};
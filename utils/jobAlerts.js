@@ -0,0 +1,106 @@
+const JobAlert = require('../models/JobAlert');
+const Activity = require('../models/Activity');
+
+/**
+ * Check whether a post satisfies a saved search.
+ * Every keyword must appear in the post text; location is a substring match
+ * against city/state/ZIP; type lists only apply when the alert sets them.
+ * @param {object} alert - JobAlert document or lean object
+ * @param {object} post - Post document or lean object
+ * @returns {boolean}
+ */
+const matchesAlert = (alert, post) => {
+    const job = post.job || {};
+
+    if (alert.employmentTypes?.length && !alert.employmentTypes.includes(job.employmentType)) {
+        return false;
+    }
+    if (alert.workplaceTypes?.length && !alert.workplaceTypes.includes(job.workplaceType)) {
+        return false;
+    }
+
+    if (alert.location) {
+        const needle = alert.location.toLowerCase();
+        const loc = job.location || {};
+        const haystack = [loc.city, loc.state, loc.zip].filter(Boolean).join(' ').toLowerCase();
+        if (!haystack.includes(needle)) return false;
+    }
+
+    if (alert.keywords) {
+        const text = [post.content, job.title, job.company].filter(Boolean).join(' ').toLowerCase();
+        const terms = alert.keywords.toLowerCase().split(/\s+/).filter(Boolean);
+        if (!terms.every(term => text.includes(term))) return false;
+    }
+
+    return true;
+};
+
+/**
+ * Create a JOB_ALERT activity for the alert owner and push it over Socket.IO
+ * @param {object} io - Socket.IO server (may be undefined outside HTTP context)
+ * @param {object} alert - Matching JobAlert
+ * @param {object} post - Published post
+ */
+const createJobAlertActivity = async (io, alert, post) => {
+    const activity = await Activity.create({
+        recipient: alert.user,
+        actor: post.user,
+        actorModel: post.userModel || 'User',
+        type: 'JOB_ALERT',
+        post: post._id,
+        alert: alert._id,
+    });
+
+    const populatedActivity = await Activity.findById(activity._id)
+        .populate('actor', 'username display_name avatar_url')
+        .populate('post', 'content image_url job')
+        .populate('alert', 'name keywords');
+
+    if (io) {
+        io.to(alert.user.toString()).emit('new_activity', populatedActivity);
+    }
+};
+
+/**
+ * Evaluate a newly published post against every active saved search.
+ * Instant alerts are notified right away; daily alerts queue the post for the digest job.
+ * Streams alerts with a cursor so memory stays flat as the alert count grows.
+ * @param {object} post - Post that just became published
+ * @param {object} io - Socket.IO server
+ * @returns {Promise<number>} Number of matching alerts
+ */
+const notifyJobAlerts = async (post, io) => {
+    if (!post || post.status !== 'published') return 0;
+
+    const job = post.job || {};
+    const query = {
+        isActive: true,
+        user: { $ne: post.user },
+        $and: [
+            { $or: [{ employmentTypes: { $size: 0 } }, { employmentTypes: job.employmentType || null }] },
+            { $or: [{ workplaceTypes: { $size: 0 } }, { workplaceTypes: job.workplaceType || null }] },
+        ],
+    };
+
+    let matched = 0;
+    const cursor = JobAlert.find(query).lean().cursor();
+
+    for await (const alert of cursor) {
+        if (!matchesAlert(alert, post)) continue;
+        matched++;
+
+        if (alert.frequency === 'daily') {
+            await JobAlert.updateOne({ _id: alert._id }, { $addToSet: { pendingPosts: post._id } });
+        } else {
+            await createJobAlertActivity(io, alert, post);
+            await JobAlert.updateOne({ _id: alert._id }, { $set: { lastNotifiedAt: new Date() } });
+        }
+    }
+
+    if (matched > 0) {
+        console.log(`[JobAlerts] Post ${post._id} matched ${matched} alert(s)`);
+    }
+    return matched;
+};
+
+module.exports = { matchesAlert, createJobAlertActivity, notifyJobAlerts };
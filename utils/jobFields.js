@@ -0,0 +1,122 @@
+// Allowed values for structured vacancy fields on Post.job
+const EMPLOYMENT_TYPES = ['full_time', 'part_time', 'contract', 'internship'];
+const WORKPLACE_TYPES = ['remote', 'hybrid', 'on_site'];
+const SALARY_PERIODS = ['hour', 'day', 'week', 'month', 'year'];
+
+const MAX_TEXT_LENGTH = 120;
+const ZIP_PATTERN = /^\d{5}(-\d{4})?$/;
+const STATE_PATTERN = /^[A-Za-z]{2}$/;
+const CURRENCY_PATTERN = /^[A-Za-z]{3}$/;
+
+const cleanText = (value) => {
+    if (value === undefined || value === null) return null;
+    const text = String(value).trim().replace(/[<>]/g, '');
+    return text || null;
+};
+
+const toNumberOrNull = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    const num = Number(value);
+    return Number.isFinite(num) ? num : NaN;
+};
+
+/**
+ * Parse and validate structured job fields from a request body.
+ * Multipart requests send `job` as a JSON string; JSON requests send an object.
+ *
+ * @param {string|object|null|undefined} raw - Value of req.body.job
+ * @returns {{ job?: object|null, error?: string }}
+ *   `job` is undefined when the field was not sent, null when it was cleared.
+ */
+const parseJobFields = (raw) => {
+    if (raw === undefined) return {};
+    if (raw === null || raw === '' || raw === 'null') return { job: null };
+
+    let input = raw;
+    if (typeof raw === 'string') {
+        try {
+            input = JSON.parse(raw);
+        } catch (_) {
+            return { error: 'Job fields must be valid JSON' };
+        }
+    }
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { error: 'Job fields must be an object' };
+    }
+
+    const title = cleanText(input.title);
+    const company = cleanText(input.company);
+    if ((title && title.length > MAX_TEXT_LENGTH) || (company && company.length > MAX_TEXT_LENGTH)) {
+        return { error: `Job title and company cannot exceed ${MAX_TEXT_LENGTH} characters` };
+    }
+
+    const employmentType = cleanText(input.employmentType);
+    if (employmentType && !EMPLOYMENT_TYPES.includes(employmentType)) {
+        return { error: `Employment type must be one of: ${EMPLOYMENT_TYPES.join(', ')}` };
+    }
+
+    const workplaceType = cleanText(input.workplaceType);
+    if (workplaceType && !WORKPLACE_TYPES.includes(workplaceType)) {
+        return { error: `Workplace type must be one of: ${WORKPLACE_TYPES.join(', ')}` };
+    }
+
+    const rawLocation = input.location || {};
+    const location = {
+        city: cleanText(rawLocation.city),
+        state: cleanText(rawLocation.state),
+        zip: cleanText(rawLocation.zip),
+    };
+    if (location.state && !STATE_PATTERN.test(location.state)) {
+        return { error: 'State must be a 2-letter code' };
+    }
+    if (location.zip && !ZIP_PATTERN.test(location.zip)) {
+        return { error: 'ZIP must be 5 digits (optionally ZIP+4)' };
+    }
+
+    const rawSalary = input.salary || {};
+    const salary = {
+        min: toNumberOrNull(rawSalary.min),
+        max: toNumberOrNull(rawSalary.max),
+        currency: cleanText(rawSalary.currency) || 'USD',
+        period: cleanText(rawSalary.period),
+    };
+    if (Number.isNaN(salary.min) || Number.isNaN(salary.max) || salary.min < 0 || salary.max < 0) {
+        return { error: 'Salary values must be non-negative numbers' };
+    }
+    if (salary.min !== null && salary.max !== null && salary.min > salary.max) {
+        return { error: 'Minimum salary cannot exceed maximum salary' };
+    }
+    if (!CURRENCY_PATTERN.test(salary.currency)) {
+        return { error: 'Currency must be a 3-letter ISO code' };
+    }
+    if (salary.period && !SALARY_PERIODS.includes(salary.period)) {
+        return { error: `Salary period must be one of: ${SALARY_PERIODS.join(', ')}` };
+    }
+
+    let applicationDeadline = null;
+    if (input.applicationDeadline) {
+        applicationDeadline = new Date(input.applicationDeadline);
+        if (Number.isNaN(applicationDeadline.getTime())) {
+            return { error: 'Application deadline must be a valid date' };
+        }
+    }
+
+    return {
+        job: {
+            title,
+            company,
+            employmentType,
+            workplaceType,
+            location,
+            salary,
+            applicationDeadline,
+        },
+    };
+};
+
+module.exports = {
+    EMPLOYMENT_TYPES,
+    WORKPLACE_TYPES,
+    SALARY_PERIODS,
+    parseJobFields,
+};
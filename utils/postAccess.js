@@ -0,0 +1,30 @@
+// Post fields isPostOwner needs — select these when loading a post for an access check
+const POST_ACCESS_FIELDS = 'user userModel company';
+
+/**
+ * Check whether the given admin may manage a post: its author, or a member of
+ * the company the post belongs to (req.admin.companyIds, set by protectAdmin)
+ * @param {object} post - Post (or populated post) with `user` and `company` fields
+ * @param {object} admin - req.admin
+ * @returns {boolean}
+ */
+const isPostOwner = (post, admin) => {
+    if (!post) return false;
+    const authorId = post.user?._id || post.user; // populated or raw
+    if (authorId && authorId.toString() === admin._id.toString()) return true;
+    return !!post.company && (admin.companyIds || []).includes(post.company.toString());
+};
+
+/**
+ * Mongo filter matching every post the admin may manage
+ * @param {object} admin - req.admin
+ * @returns {object}
+ */
+const managedPostsFilter = (admin) => ({
+    $or: [
+        { user: admin._id, userModel: admin.isUserAdmin ? 'User' : 'Admin' },
+        { company: { $in: admin.companyIds || [] } },
+    ],
+});
+
+module.exports = { POST_ACCESS_FIELDS, isPostOwner, managedPostsFilter };
@@ -0,0 +1,155 @@
+const path = require('path');
+const crypto = require('crypto');
+const { PutObjectCommand, DeleteObjectCommand } = require('@aws-sdk/client-s3');
+const { s3Client, R2_BUCKET } = require('../config/r2');
+const { processImage } = require('./imageProcessor');
+
+const MAX_ALT_LENGTH = 300;
+
+/**
+ * Parse the optional per-file metadata sent with a media upload as `mediaMeta`:
+ * a JSON array in the same order as the files, each `{ alt, width, height }`.
+ * width/height are only used for videos; images are measured after processing.
+ * @param {*} raw - Value of req.body.mediaMeta
+ * @param {number} fileCount - Number of uploaded files
+ * @returns {{ meta?: Array<object>, error?: string }}
+ */
+function parseMediaMeta(raw, fileCount) {
+    if (raw === undefined || raw === null || raw === '') return { meta: [] };
+
+    let input = raw;
+    if (typeof raw === 'string') {
+        try {
+            input = JSON.parse(raw);
+        } catch (_) {
+            return { error: 'mediaMeta must be valid JSON' };
+        }
+    }
+    if (!Array.isArray(input)) {
+        return { error: 'mediaMeta must be an array' };
+    }
+    if (input.length > fileCount) {
+        return { error: 'mediaMeta has more entries than uploaded files' };
+    }
+
+    const meta = [];
+    for (const entry of input) {
+        const item = entry && typeof entry === 'object' ? entry : {};
+        const alt = item.alt == null ? '' : String(item.alt).trim().replace(/[<>]/g, '');
+        if (alt.length > MAX_ALT_LENGTH) {
+            return { error: `Alt text must be ${MAX_ALT_LENGTH} characters or fewer` };
+        }
+        const width = parseInt(item.width);
+        const height = parseInt(item.height);
+        meta.push({
+            alt,
+            width: width > 0 ? width : null,
+            height: height > 0 ? height : null
+        });
+    }
+    return { meta };
+}
+
+/**
+ * Upload one multer file as a post media item. Images go through sharp first.
+ * @param {object} file - multer file (memory storage)
+ * @param {object} [meta] - Entry from parseMediaMeta
+ * @returns {Promise<{ type: string, key: string, width: number|null, height: number|null, alt: string }>}
+ */
+async function uploadPostMediaItem(file, meta = {}) {
+    let body = file.buffer;
+    if (!body && file.stream) {
+        const chunks = [];
+        for await (const chunk of file.stream) chunks.push(chunk);
+        body = Buffer.concat(chunks);
+    }
+
+    const isVideo = file.mimetype.startsWith('video/');
+    let contentType = file.mimetype;
+    let ext = path.extname(file.originalname);
+    let width = meta.width || null;
+    let height = meta.height || null;
+
+    // Process images through sharp (resize, compress, convert to WebP)
+    if (!isVideo) {
+        const processed = await processImage(body, file.mimetype);
+        body = processed.buffer;
+        contentType = processed.mimetype;
+        ext = processed.ext;
+        width = processed.width || null;
+        height = processed.height || null;
+    }
+
+    const key = `posts/${Date.now()}-${crypto.randomBytes(8).toString('hex')}${ext}`;
+
+    await s3Client.send(new PutObjectCommand({
+        Bucket: R2_BUCKET,
+        Key: key,
+        Body: body,
+        ContentType: contentType,
+    }));
+
+    return { type: isVideo ? 'video' : 'image', key, width, height, alt: meta.alt || '' };
+}
+
+/**
+ * Upload every file of a gallery in order. Files are processed one at a time
+ * to keep memory flat; if one fails, those already stored are removed again.
+ * @param {Array<object>} files - req.files
+ * @param {Array<object>} [meta] - From parseMediaMeta, aligned with files
+ * @returns {Promise<Array<object>>} Media items for Post.media
+ */
+async function uploadPostMediaFiles(files = [], meta = []) {
+    const media = [];
+    try {
+        for (let i = 0; i < files.length; i++) {
+            media.push(await uploadPostMediaItem(files[i], meta[i]));
+        }
+    } catch (err) {
+        await deletePostMedia({ media });
+        throw err;
+    }
+    return media;
+}
+
+/**
+ * Legacy single-media fields mirrored from a gallery: the first image and the
+ * first video, so clients that only know image_url/video_url keep working.
+ * @param {Array<object>} media
+ * @returns {{ image_url: string|null, video_url: string|null }}
+ */
+function legacyMediaFields(media) {
+    return {
+        image_url: media.find(item => item.type === 'image')?.key || null,
+        video_url: media.find(item => item.type === 'video')?.key || null,
+    };
+}
+
+/**
+ * Delete a post's media from R2: every gallery item plus the legacy fields.
+ * External URLs are skipped; failures are logged so a missing object never
+ * blocks deleting the post itself.
+ * @param {object} post - Post (or revision) with media / image_url / video_url
+ */
+async function deletePostMedia(post) {
+    const keys = new Set([
+        post.image_url,
+        post.video_url,
+        ...(post.media || []).map(item => item.key),
+    ].filter(key => key && !key.startsWith('http')));
+
+    await Promise.all([...keys].map(async (key) => {
+        try {
+            await s3Client.send(new DeleteObjectCommand({ Bucket: R2_BUCKET, Key: key }));
+        } catch (err) {
+            console.error('[R2] Delete error:', err.message);
+        }
+    }));
+}
+
+module.exports = {
+    parseMediaMeta,
+    uploadPostMediaFiles,
+    legacyMediaFields,
+    deletePostMedia,
+};
@@ -0,0 +1,35 @@
+const Post = require('../models/Post');
+
+// A user earns direct publishing once all three hold
+const TRUST_MIN_ACCOUNT_AGE_DAYS = parseInt(process.env.POST_TRUST_MIN_ACCOUNT_AGE_DAYS) || 7;
+const TRUST_MIN_APPROVED_POSTS = parseInt(process.env.POST_TRUST_MIN_APPROVED_POSTS) || 3;
+const TRUST_REJECTION_WINDOW_DAYS = parseInt(process.env.POST_TRUST_REJECTION_WINDOW_DAYS) || 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Decide the initial status of a post written by a regular user.
+ * Trusted users (old enough account, enough approved posts, no recent
+ * rejections) publish immediately; everyone else goes to the moderation queue.
+ * @param {object} user - Authenticated user (req.user)
+ * @returns {Promise<'published'|'pending'>}
+ */
+const resolveUserPostStatus = async (user) => {
+    if (Date.now() - new Date(user.createdAt).getTime() < TRUST_MIN_ACCOUNT_AGE_DAYS * DAY_MS) {
+        return 'pending';
+    }
+
+    const authored = { user: user._id, userModel: 'User' };
+    const [approvedCount, recentRejection] = await Promise.all([
+        Post.countDocuments({ ...authored, status: { $in: ['published', 'expired'] } }),
+        Post.exists({
+            ...authored,
+            status: 'rejected',
+            updatedAt: { $gte: new Date(Date.now() - TRUST_REJECTION_WINDOW_DAYS * DAY_MS) }
+        })
+    ]);
+
+    return approvedCount >= TRUST_MIN_APPROVED_POSTS && !recentRejection ? 'published' : 'pending';
+};
+
+module.exports = { resolveUserPostStatus };
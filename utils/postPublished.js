@@ -0,0 +1,19 @@
+const { notifyJobAlerts } = require('./jobAlerts');
+const { notifyCompanyFollowers } = require('./companyFollowers');
+
+/**
+ * Fan out a post that just became published: saved-search alerts and company
+ * followers' activity feeds. Fire-and-forget — errors are logged, not thrown.
+ * @param {object} post - Post that just became published
+ * @param {object} io - Socket.IO server
+ */
+const announcePublishedPost = (post, io) => {
+    notifyJobAlerts(post, io).catch((err) => {
+        console.error('Job alert matching error:', err);
+    });
+    notifyCompanyFollowers(post, io).catch((err) => {
+        console.error('Company follower notification error:', err);
+    });
+};
+
+module.exports = { announcePublishedPost };
@@ -0,0 +1,62 @@
+const PostRevision = require('../models/PostRevision');
+const { signPostMediaUrls } = require('../config/r2');
+const { deletePostMedia } = require('./postMedia');
+
+/**
+ * Snapshot the current content and media of a post before an edit is applied.
+ * Call with the post still holding its old values.
+ * @param {object} post - Post document about to be modified
+ * @param {object} editor - { _id, model } of whoever is editing ('User' or 'Admin')
+ * @returns {Promise<object>} The stored revision
+ */
+const recordPostRevision = (post, editor) => PostRevision.create({
+    post: post._id,
+    content: post.content,
+    image_url: post.image_url,
+    video_url: post.video_url,
+    media: (post.media || []).map(item => (item.toObject ? item.toObject() : item)),
+    editor: editor._id,
+    editorModel: editor.model
+});
+
+/**
+ * Delete a post's revision history along with the media stored on each revision.
+ * Used when the post itself is deleted.
+ * @param {string|object} postId
+ */
+const deletePostRevisions = async (postId) => {
+    const revisions = await PostRevision.find({ post: postId }).select('image_url video_url media').lean();
+    await Promise.all(revisions.map(revision => deletePostMedia(revision)));
+    await PostRevision.deleteMany({ post: postId });
+};
+
+/**
+ * One cursor page of a post's revisions, newest first, with editors and signed media
+ * @param {string|object} postId
+ * @param {object} query - req.query ({ limit, cursor })
+ * @returns {Promise<{ revisions: Array, nextCursor: Date|null, hasMore: boolean }>}
+ */
+const listPostRevisions = async (postId, { limit: rawLimit, cursor } = {}) => {
+    const limit = Math.min(parseInt(rawLimit) || 20, 50);
+
+    const query = { post: postId };
+    if (cursor) {
+        query.createdAt = { $lt: new Date(cursor) };
+    }
+
+    const revisions = await PostRevision.find(query)
+        .populate('editor', 'username display_name avatar_url')
+        .sort({ createdAt: -1 })
+        .limit(limit + 1)
+        .lean();
+
+    const hasMore = revisions.length > limit;
+    if (hasMore) {
+        revisions.pop();
+    }
+    const nextCursor = revisions.length > 0 ? revisions[revisions.length - 1].createdAt : null;
+
+    return { revisions: await signPostMediaUrls(revisions), nextCursor, hasMore };
+};
+
+module.exports = { recordPostRevision, deletePostRevisions, listPostRevisions };
@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+
+// Redis layout — counters live here until jobs/postStatsFlushJob moves them to Mongo:
+//   post_stats:counters            hash  "<postId>:<day>:i|v" -> impressions/views since last flush
+//   post_stats:uv:<postId>:<day>   HLL   unique viewers of a post on a day
+//   post_stats:uv:<postId>         HLL   unique viewers of a post, all time
+//   post_stats:uv_dirty            set   "<postId>:<day>" pairs whose HLLs changed since last flush
+const COUNTERS_KEY = 'post_stats:counters';
+const UV_DIRTY_KEY = 'post_stats:uv_dirty';
+const DAILY_UV_TTL_SECONDS = 3 * 24 * 60 * 60;
+
+const dayKey = (date = new Date()) => date.toISOString().slice(0, 10);
+
+/**
+ * Identify a viewer for unique counts: the user ID, else a hash of IP + user agent
+ * @param {object} req - Express request (optionalAuth may have set req.user)
+ * @returns {string}
+ */
+const viewerKey = (req) => {
+    if (req.user?._id) return `u:${req.user._id}`;
+    const fingerprint = `${req.ip}|${req.headers['user-agent'] || ''}`;
+    return `a:${crypto.createHash('sha1').update(fingerprint).digest('hex')}`;
+};
+
+/**
+ * Count one feed impression for each post. One pipelined round trip, no Mongo write.
+ * Fire-and-forget: tracking errors are logged, never surfaced to the request.
+ * @param {object} redis - ioredis client (req.app.get('redis'))
+ * @param {Array} postIds
+ */
+const recordImpressions = (redis, postIds) => {
+    if (!redis || postIds.length === 0) return;
+    const day = dayKey();
+    const pipeline = redis.pipeline();
+    postIds.forEach(postId => pipeline.hincrby(COUNTERS_KEY, `${postId}:${day}:i`, 1));
+    pipeline.exec().catch((err) => {
+        console.error('[PostStats] Impression tracking error:', err.message);
+    });
+};
+
+/**
+ * Count one detail view of a post and add the viewer to its unique-viewer sets
+ * @param {object} redis - ioredis client (req.app.get('redis'))
+ * @param {string} postId
+ * @param {string} viewer - From viewerKey(req)
+ */
+const recordView = (redis, postId, viewer) => {
+    if (!redis) return;
+    const day = dayKey();
+    const dailyKey = `post_stats:uv:${postId}:${day}`;
+    redis.pipeline()
+        .hincrby(COUNTERS_KEY, `${postId}:${day}:v`, 1)
+        .pfadd(dailyKey, viewer)
+        .expire(dailyKey, DAILY_UV_TTL_SECONDS)
+        .pfadd(`post_stats:uv:${postId}`, viewer)
+        .sadd(UV_DIRTY_KEY, `${postId}:${day}`)
+        .exec()
+        .catch((err) => {
+            console.error('[PostStats] View tracking error:', err.message);
+        });
+};
+
+module.exports = {
+    COUNTERS_KEY,
+    UV_DIRTY_KEY,
+    viewerKey,
+    recordImpressions,
+    recordView,
+};
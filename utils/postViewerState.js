@@ -0,0 +1,49 @@
+const Like = require('../models/Like');
+const Bookmark = require('../models/Bookmark');
+
+// ─── Helper: batch lookup which posts the current user has liked ────────────
+async function getLikedPostIds(userId, postIds) {
+    if (!userId || postIds.length === 0) return new Set();
+    const likes = await Like.find({
+        user: userId,
+        post: { $in: postIds }
+    }).select('post').lean();
+    return new Set(likes.map(l => l.post.toString()));
+}
+
+// ─── Helper: attach like info to posts array ────────────────────────────────
+function attachLikeInfo(posts, likedSet) {
+    return posts.map(p => {
+        const postId = (p._id || p.id).toString();
+        return {
+            ...p,
+            likedByMe: likedSet.has(postId),
+            likesCount: p.likesCount || 0
+        };
+    });
+}
+
+// ─── Helper: batch lookup which posts the current user has bookmarked ───────
+async function getBookmarkedPostIds(userId, postIds) {
+    if (!userId || postIds.length === 0) return new Set();
+    const bookmarks = await Bookmark.find({
+        user: userId,
+        post: { $in: postIds }
+    }).select('post').lean();
+    return new Set(bookmarks.map(b => b.post.toString()));
+}
+
+// ─── Helper: attach bookmark info to posts array ────────────────────────────
+function attachBookmarkInfo(posts, bookmarkedSet) {
+    return posts.map(p => ({
+        ...p,
+        bookmarkedByMe: bookmarkedSet.has((p._id || p.id).toString())
+    }));
+}
+
+module.exports = {
+    getLikedPostIds,
+    attachLikeInfo,
+    getBookmarkedPostIds,
+    attachBookmarkInfo,
+};
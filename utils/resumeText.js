@@ -0,0 +1,77 @@
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const mammoth = require('mammoth');
+const { escapeRegex } = require('./escapeRegex');
+
+// Cap stored text so one huge document can't bloat the application document
+const MAX_TEXT_LENGTH = 100000;
+
+const PDF_MIME = 'application/pdf';
+const DOCX_MIME = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+/**
+ * Whether text can be extracted from a document of this type
+ * @param {string} mimeType
+ * @returns {boolean}
+ */
+const isExtractable = (mimeType) => mimeType === PDF_MIME || mimeType === DOCX_MIME;
+
+/**
+ * Extract plain text from a PDF or DOCX buffer
+ * @param {Buffer} buffer - Decompressed document bytes
+ * @param {string} mimeType - Document mime type
+ * @returns {Promise<string>} Whitespace-normalized text ('' for unsupported types)
+ */
+const extractText = async (buffer, mimeType) => {
+    let text = '';
+    if (mimeType === PDF_MIME) {
+        const result = await pdfParse(buffer);
+        text = result.text || '';
+    } else if (mimeType === DOCX_MIME) {
+        const result = await mammoth.extractRawText({ buffer });
+        text = result.value || '';
+    }
+    return text.replace(/\s+/g, ' ').trim().slice(0, MAX_TEXT_LENGTH);
+};
+
+const escapeHtml = (value) => value.replace(/[&<>"']/g, (ch) => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+}[ch]));
+
+/**
+ * Build highlighted snippets around search term matches.
+ * Output is HTML-escaped with matches wrapped in <mark>.
+ * @param {string} text - Full resume text
+ * @param {string} query - Search query as typed
+ * @param {object} [options]
+ * @param {number} [options.maxSnippets=3]
+ * @param {number} [options.radius=80] - Characters of context on each side
+ * @returns {string[]}
+ */
+const buildHighlights = (text, query, { maxSnippets = 3, radius = 80 } = {}) => {
+    const terms = (query.match(/"[^"]+"|\S+/g) || [])
+        .map(term => term.replace(/^-|"/g, '').trim())
+        .filter(term => term.length > 1);
+    if (!text || terms.length === 0) return [];
+
+    const pattern = new RegExp(`(${terms.map(escapeRegex).join('|')})`, 'gi');
+    const snippets = [];
+    let lastEnd = -1;
+    let match;
+
+    while ((match = pattern.exec(text)) && snippets.length < maxSnippets) {
+        const start = Math.max(match.index - radius, 0);
+        if (start < lastEnd) continue; // overlaps the previous snippet
+        const end = Math.min(match.index + match[0].length + radius, text.length);
+        lastEnd = end;
+
+        const slice = text.slice(start, end);
+        const highlighted = slice.split(pattern).map((part, i) => (
+            i % 2 === 1 ? `<mark>${escapeHtml(part)}</mark>` : escapeHtml(part)
+        )).join('');
+        snippets.push(`${start > 0 ? '…' : ''}${highlighted}${end < text.length ? '…' : ''}`);
+    }
+
+    return snippets;
+};
+
+module.exports = { isExtractable, extractText, buildHighlights };
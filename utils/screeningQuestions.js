@@ -0,0 +1,260 @@
+const mongoose = require('mongoose');
+
+// Question types an admin can put on a post
+const QUESTION_TYPES = ['text', 'yes_no', 'single_choice', 'multi_choice', 'number'];
+const CHOICE_TYPES = ['single_choice', 'multi_choice'];
+
+const MAX_QUESTIONS = 20;
+const MAX_PROMPT_LENGTH = 300;
+const MAX_OPTIONS = 20;
+const MAX_OPTION_LENGTH = 100;
+const MAX_TEXT_ANSWER_LENGTH = 2000;
+
+const cleanText = (value) => String(value ?? '').trim().replace(/[<>]/g, '');
+
+const toNumberOrNull = (value) => {
+    if (value === undefined || value === null || value === '') return null;
+    const num = Number(value);
+    return Number.isFinite(num) ? num : NaN;
+};
+
+const toBooleanOrNull = (value) => {
+    if (value === true || value === false) return value;
+    const text = String(value ?? '').trim().toLowerCase();
+    if (['true', 'yes', '1'].includes(text)) return true;
+    if (['false', 'no', '0'].includes(text)) return false;
+    return null;
+};
+
+const parseJson = (raw) => {
+    if (typeof raw !== 'string') return { value: raw };
+    try {
+        return { value: JSON.parse(raw) };
+    } catch (_) {
+        return { error: true };
+    }
+};
+
+/**
+ * Validate the knockout rule of one question.
+ * yes_no: { answer } disqualifies that answer; choice: { options } disqualifies
+ * any of those options; number: { min, max } disqualifies values outside the range.
+ */
+const parseKnockout = (raw, question) => {
+    if (!raw) return { knockout: null };
+    if (typeof raw !== 'object' || Array.isArray(raw)) {
+        return { error: 'Knockout rules must be objects' };
+    }
+
+    if (question.type === 'yes_no') {
+        const answer = toBooleanOrNull(raw.answer);
+        if (answer === null) return { error: `Knockout for "${question.prompt}" needs answer true or false` };
+        return { knockout: { answer } };
+    }
+
+    if (CHOICE_TYPES.includes(question.type)) {
+        const options = Array.isArray(raw.options) ? [...new Set(raw.options.map(cleanText))] : [];
+        if (options.length === 0 || options.some(option => !question.options.includes(option))) {
+            return { error: `Knockout options for "${question.prompt}" must be listed in its options` };
+        }
+        return { knockout: { options } };
+    }
+
+    if (question.type === 'number') {
+        const min = toNumberOrNull(raw.min);
+        const max = toNumberOrNull(raw.max);
+        if (Number.isNaN(min) || Number.isNaN(max) || (min === null && max === null)) {
+            return { error: `Knockout for "${question.prompt}" needs a numeric min and/or max` };
+        }
+        if (min !== null && max !== null && min > max) {
+            return { error: `Knockout min cannot exceed max for "${question.prompt}"` };
+        }
+        return { knockout: { min, max } };
+    }
+
+    return { error: 'Free-text questions cannot have knockout rules' };
+};
+
+/**
+ * Parse and validate a screening question set from a request body.
+ * Multipart requests send it as a JSON string; JSON requests send an array.
+ *
+ * @param {string|Array|null|undefined} raw - Value of req.body.screeningQuestions
+ * @returns {{ questions?: Array, error?: string }}
+ *   `questions` is undefined when the field was not sent, [] when it was cleared.
+ */
+const parseScreeningQuestions = (raw) => {
+    if (raw === undefined) return {};
+    if (raw === null || raw === '' || raw === 'null') return { questions: [] };
+
+    const { value: input, error: jsonError } = parseJson(raw);
+    if (jsonError) return { error: 'Screening questions must be valid JSON' };
+    if (!Array.isArray(input)) return { error: 'Screening questions must be an array' };
+    if (input.length > MAX_QUESTIONS) {
+        return { error: `A post can have at most ${MAX_QUESTIONS} screening questions` };
+    }
+
+    const questions = [];
+    for (const item of input) {
+        const prompt = cleanText(item?.prompt);
+        if (!prompt || prompt.length > MAX_PROMPT_LENGTH) {
+            return { error: `Each question needs a prompt of at most ${MAX_PROMPT_LENGTH} characters` };
+        }
+
+        const type = cleanText(item.type);
+        if (!QUESTION_TYPES.includes(type)) {
+            return { error: `Question type must be one of: ${QUESTION_TYPES.join(', ')}` };
+        }
+
+        const question = {
+            prompt,
+            type,
+            required: toBooleanOrNull(item.required) === true,
+            options: [],
+        };
+
+        // Keep existing IDs so answers on earlier applications still line up
+        if (item._id && mongoose.Types.ObjectId.isValid(item._id)) {
+            question._id = item._id;
+        }
+
+        if (CHOICE_TYPES.includes(type)) {
+            const options = Array.isArray(item.options)
+                ? [...new Set(item.options.map(cleanText).filter(Boolean))]
+                : [];
+            if (options.length < 2 || options.length > MAX_OPTIONS) {
+                return { error: `"${prompt}" needs between 2 and ${MAX_OPTIONS} distinct options` };
+            }
+            if (options.some(option => option.length > MAX_OPTION_LENGTH)) {
+                return { error: `Options cannot exceed ${MAX_OPTION_LENGTH} characters` };
+            }
+            question.options = options;
+        }
+
+        const { knockout, error } = parseKnockout(item.knockout, question);
+        if (error) return { error };
+        question.knockout = knockout;
+
+        questions.push(question);
+    }
+
+    return { questions };
+};
+
+/**
+ * Normalize one raw answer for a question.
+ * @returns {{ value?: *, error?: string }} `value` is undefined for a blank answer
+ */
+const normalizeAnswer = (question, raw) => {
+    if (raw === undefined || raw === null || raw === '') return {};
+
+    switch (question.type) {
+        case 'text': {
+            const text = String(raw).trim();
+            if (!text) return {};
+            if (text.length > MAX_TEXT_ANSWER_LENGTH) {
+                return { error: `Answer to "${question.prompt}" cannot exceed ${MAX_TEXT_ANSWER_LENGTH} characters` };
+            }
+            return { value: text };
+        }
+        case 'yes_no': {
+            const value = toBooleanOrNull(raw);
+            return value === null ? { error: `Answer to "${question.prompt}" must be yes or no` } : { value };
+        }
+        case 'number': {
+            const value = toNumberOrNull(raw);
+            return Number.isNaN(value) ? { error: `Answer to "${question.prompt}" must be a number` } : { value };
+        }
+        case 'single_choice': {
+            const value = String(raw).trim();
+            return question.options.includes(value)
+                ? { value }
+                : { error: `Answer to "${question.prompt}" must be one of its options` };
+        }
+        case 'multi_choice': {
+            const values = [...new Set((Array.isArray(raw) ? raw : [raw]).map(v => String(v).trim()))];
+            if (values.some(value => !question.options.includes(value))) {
+                return { error: `Answers to "${question.prompt}" must be among its options` };
+            }
+            return values.length ? { value: values } : {};
+        }
+        default:
+            return {};
+    }
+};
+
+/**
+ * Whether an answer trips the question's knockout rule
+ */
+const isDisqualifying = (question, value) => {
+    const rule = question.knockout;
+    if (!rule || value === undefined) return false;
+
+    switch (question.type) {
+        case 'yes_no':
+            return value === rule.answer;
+        case 'single_choice':
+            return rule.options.includes(value);
+        case 'multi_choice':
+            return value.some(option => rule.options.includes(option));
+        case 'number':
+            return (rule.min !== null && rule.min !== undefined && value < rule.min)
+                || (rule.max !== null && rule.max !== undefined && value > rule.max);
+        default:
+            return false;
+    }
+};
+
+/**
+ * Validate an applicant's answers against a post's question set.
+ * Answers arrive as { [questionId]: value } or [{ question, value }], either
+ * directly or as a JSON string (multipart). Unknown question IDs are ignored.
+ *
+ * @param {Array} questions - Post.screeningQuestions, including knockout rules
+ * @param {*} raw - Value of req.body.screeningAnswers
+ * @returns {{ answers?: Array, knockedOut?: boolean, error?: string }}
+ */
+const evaluateScreeningAnswers = (questions = [], raw) => {
+    if (questions.length === 0) return { answers: [], knockedOut: false };
+
+    const { value: input, error: jsonError } = parseJson(raw ?? {});
+    if (jsonError || !input || typeof input !== 'object') {
+        return { error: 'Screening answers must be valid JSON' };
+    }
+
+    const byQuestion = Array.isArray(input)
+        ? Object.fromEntries(input.map(item => [String(item?.question), item?.value]))
+        : input;
+
+    const answers = [];
+    let knockedOut = false;
+
+    for (const question of questions) {
+        const { value, error } = normalizeAnswer(question, byQuestion[question._id.toString()]);
+        if (error) return { error };
+
+        if (value === undefined) {
+            if (question.required) return { error: `Please answer: "${question.prompt}"` };
+            continue;
+        }
+
+        const disqualifying = isDisqualifying(question, value);
+        knockedOut = knockedOut || disqualifying;
+
+        answers.push({
+            question: question._id,
+            prompt: question.prompt,
+            type: question.type,
+            value,
+            disqualifying,
+        });
+    }
+
+    return { answers, knockedOut };
+};
+
+module.exports = {
+    QUESTION_TYPES,
+    parseScreeningQuestions,
+    evaluateScreeningAnswers,
+};